@@ -39,6 +39,7 @@ async function initSchema() {
         battle_pass_data     JSONB     NOT NULL DEFAULT '{}',
         crate_inventory      JSONB     NOT NULL DEFAULT '{"common-crate":0,"rare-crate":0,"epic-crate":0,"legendary-crate":0,"icon-crate":0,"oblivion-crate":0}',
         seen_announcements   TEXT[]    NOT NULL DEFAULT ARRAY[]::TEXT[],
+        friend_requests_from TEXT      NOT NULL DEFAULT 'everyone',
         last_trade_at        TIMESTAMPTZ,
         created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
         updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
@@ -108,19 +109,384 @@ async function initSchema() {
         added_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
       );
 
+      CREATE TABLE IF NOT EXISTS skins (
+        id          TEXT PRIMARY KEY,
+        name        TEXT NOT NULL,
+        rarity      TEXT NOT NULL,
+        source      TEXT NOT NULL,
+        tradeable   BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      INSERT INTO skins (id, name, rarity, source, tradeable) VALUES
+        ('agent',           'Agent',           'common',    'default',  FALSE),
+        ('gold-champion',   'Gold Champion',   'legendary', 'champion', FALSE),
+        ('silver-champion', 'Silver Champion', 'epic',      'champion', FALSE),
+        ('bronze-champion', 'Bronze Champion', 'rare',      'champion', FALSE)
+      ON CONFLICT (id) DO NOTHING;
+
+      CREATE TABLE IF NOT EXISTS crate_drops (
+        crate_id  TEXT NOT NULL,
+        skin_id   TEXT NOT NULL REFERENCES skins(id) ON DELETE CASCADE,
+        weight    INTEGER NOT NULL CHECK (weight > 0),
+        PRIMARY KEY (crate_id, skin_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS crate_openings (
+        id         TEXT PRIMARY KEY DEFAULT gen_random_uuid()::TEXT,
+        uid        TEXT NOT NULL,
+        crate_id   TEXT NOT NULL,
+        skin_id    TEXT NOT NULL,
+        rarity     TEXT NOT NULL,
+        duplicate  BOOLEAN NOT NULL,
+        refund     INTEGER NOT NULL DEFAULT 0,
+        opened_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS battle_pass_seasons (
+        id             TEXT PRIMARY KEY,
+        name           TEXT NOT NULL,
+        starts_at      TIMESTAMPTZ NOT NULL,
+        ends_at        TIMESTAMPTZ NOT NULL,
+        premium_price  INTEGER NOT NULL DEFAULT 0,
+        tiers          JSONB NOT NULL DEFAULT '[]',
+        archived       BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS battle_pass_progress (
+        uid              TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        season_id        TEXT NOT NULL REFERENCES battle_pass_seasons(id) ON DELETE CASCADE,
+        xp               INTEGER NOT NULL DEFAULT 0,
+        premium          BOOLEAN NOT NULL DEFAULT FALSE,
+        claimed_free     INTEGER[] NOT NULL DEFAULT ARRAY[]::INTEGER[],
+        claimed_premium  INTEGER[] NOT NULL DEFAULT ARRAY[]::INTEGER[],
+        archived_at      TIMESTAMPTZ,
+        updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (uid, season_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_pool (
+        id            TEXT PRIMARY KEY DEFAULT gen_random_uuid()::TEXT,
+        period        TEXT NOT NULL,
+        event         TEXT NOT NULL,
+        params        JSONB NOT NULL DEFAULT '{}',
+        target        INTEGER NOT NULL CHECK (target > 0),
+        description   TEXT NOT NULL,
+        reward_coins  INTEGER NOT NULL DEFAULT 0,
+        reward_xp     INTEGER NOT NULL DEFAULT 0,
+        active        BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      INSERT INTO challenge_pool (id, period, event, params, target, description, reward_coins, reward_xp) VALUES
+        ('daily-kill-100',        'daily',  'enemy_kill',          '{}',                        100, 'Kill 100 enemies',             150,  300),
+        ('daily-kill-fast-50',    'daily',  'enemy_kill',          '{"enemyType":"fast"}',      50,  'Kill 50 fast enemies',         200,  400),
+        ('daily-kill-tank-20',    'daily',  'enemy_kill',          '{"enemyType":"tank"}',      20,  'Kill 20 tanks',                200,  400),
+        ('daily-wave-5',          'daily',  'wave_reached',        '{}',                        5,   'Reach wave 5 in co-op',        150,  300),
+        ('daily-powerups-10',     'daily',  'powerup_collected',   '{}',                        10,  'Collect 10 powerups',          150,  300),
+        ('daily-matches-3',       'daily',  'match_completed',     '{}',                        3,   'Finish 3 co-op matches',       150,  300),
+        ('weekly-wave-10',        'weekly', 'wave_reached',        '{}',                        10,  'Reach wave 10 in co-op',       750,  1500),
+        ('weekly-nukes-3',        'weekly', 'powerup_collected',   '{"powerupType":"nuke"}',    3,   'Collect 3 nukes',              600,  1200),
+        ('weekly-miniboss-10',    'weekly', 'enemy_kill',          '{"enemyType":"miniboss"}',  10,  'Kill 10 minibosses',           750,  1500),
+        ('weekly-sell-3',         'weekly', 'marketplace_sale',    '{}',                        3,   'Sell 3 skins on the market',   500,  1000)
+      ON CONFLICT (id) DO NOTHING;
+
+      CREATE TABLE IF NOT EXISTS challenge_rotations (
+        id            TEXT PRIMARY KEY DEFAULT gen_random_uuid()::TEXT,
+        challenge_id  TEXT NOT NULL REFERENCES challenge_pool(id),
+        period        TEXT NOT NULL,
+        starts_at     TIMESTAMPTZ NOT NULL,
+        ends_at       TIMESTAMPTZ NOT NULL,
+        UNIQUE (challenge_id, starts_at)
+      );
+
+      CREATE TABLE IF NOT EXISTS challenge_progress (
+        uid           TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        rotation_id   TEXT NOT NULL REFERENCES challenge_rotations(id) ON DELETE CASCADE,
+        progress      INTEGER NOT NULL DEFAULT 0,
+        completed_at  TIMESTAMPTZ,
+        claimed_at    TIMESTAMPTZ,
+        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (uid, rotation_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS achievements (
+        id           TEXT PRIMARY KEY,
+        name         TEXT NOT NULL,
+        description  TEXT NOT NULL,
+        stat         TEXT NOT NULL,
+        threshold    INTEGER NOT NULL,
+        reward_skin  TEXT REFERENCES skins(id),
+        hidden       BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      INSERT INTO achievements (id, name, description, stat, threshold, reward_skin) VALUES
+        ('first-blood',     'First Blood',       'Get your first co-op kill',      'total_kills',    1,     NULL),
+        ('exterminator',    'Exterminator',      'Get 1,000 co-op kills',          'total_kills',    1000,  NULL),
+        ('veteran',         'Veteran',           'Play 100 co-op matches',         'matches_played', 100,   NULL),
+        ('wave-10',         'Holding the Line',  'Reach wave 10 in co-op',         'best_wave',      10,    NULL),
+        ('bronze-survivor', 'Bronze Survivor',   'Reach wave 15 in co-op',         'best_wave',      15,    'bronze-champion'),
+        ('silver-survivor', 'Silver Survivor',   'Reach wave 25 in co-op',         'best_wave',      25,    'silver-champion'),
+        ('gold-survivor',   'Gold Survivor',     'Reach wave 40 in co-op',         'best_wave',      40,    'gold-champion'),
+        ('high-score-10k',  'Five Digits',       'Score 10,000 in a single round', 'high_score',     10000, NULL),
+        ('market-ready',    'Market Ready',      'Reach level 15',                 'level',          15,    NULL),
+        ('level-50',        'Seasoned',          'Reach level 50',                 'level',          50,    NULL),
+        ('first-trade',     'Open for Business', 'Complete your first trade',      'trades',         1,     NULL),
+        ('trader-50',       'Tycoon',            'Complete 50 trades',             'trades',         50,    NULL)
+      ON CONFLICT (id) DO NOTHING;
+
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        uid             TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        achievement_id  TEXT NOT NULL REFERENCES achievements(id) ON DELETE CASCADE,
+        unlocked_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (uid, achievement_id)
+      );
+
+      -- Direct player-to-player offers. The sender's skins and coins sit in escrow
+      -- (removed from their inventory / debited) while the offer is pending.
+      CREATE TABLE IF NOT EXISTS trade_offers (
+        id             TEXT PRIMARY KEY DEFAULT gen_random_uuid()::TEXT,
+        from_uid       TEXT NOT NULL REFERENCES users(uid),
+        to_uid         TEXT NOT NULL REFERENCES users(uid),
+        offer_skins    TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+        offer_coins    INTEGER NOT NULL DEFAULT 0 CHECK (offer_coins >= 0),
+        request_skins  TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+        request_coins  INTEGER NOT NULL DEFAULT 0 CHECK (request_coins >= 0),
+        status         TEXT NOT NULL DEFAULT 'pending',
+        counter_of     TEXT REFERENCES trade_offers(id),
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at     TIMESTAMPTZ NOT NULL,
+        resolved_at    TIMESTAMPTZ
+      );
+
+      -- Bid history for auction listings (kept after the listing settles)
+      CREATE TABLE IF NOT EXISTS auction_bids (
+        id           BIGSERIAL PRIMARY KEY,
+        listing_id   TEXT NOT NULL,
+        uid          TEXT NOT NULL REFERENCES users(uid),
+        username     TEXT NOT NULL,
+        amount       INTEGER NOT NULL,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- Standing "I'll pay up to max_price for skin_id" orders; coins are held while open
+      CREATE TABLE IF NOT EXISTS buy_orders (
+        id           TEXT PRIMARY KEY DEFAULT gen_random_uuid()::TEXT,
+        uid          TEXT NOT NULL REFERENCES users(uid),
+        username     TEXT NOT NULL,
+        skin_id      TEXT NOT NULL,
+        max_price    INTEGER NOT NULL CHECK (max_price > 0),
+        status       TEXT NOT NULL DEFAULT 'open',
+        listing_id   TEXT,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at   TIMESTAMPTZ NOT NULL,
+        resolved_at  TIMESTAMPTZ
+      );
+
+      -- Marketplace sale prices rolled up per skin into hour and day buckets,
+      -- updated with every sale so price endpoints never scan trade_logs
+      CREATE TABLE IF NOT EXISTS price_rollups (
+        skin_id        TEXT NOT NULL,
+        rarity         TEXT NOT NULL,
+        bucket         TEXT NOT NULL,
+        bucket_start   TIMESTAMPTZ NOT NULL,
+        trades         INTEGER NOT NULL,
+        volume         BIGINT NOT NULL,
+        min_price      INTEGER NOT NULL,
+        max_price      INTEGER NOT NULL,
+        last_price     INTEGER NOT NULL,
+        last_trade_at  TIMESTAMPTZ NOT NULL,
+        PRIMARY KEY (skin_id, bucket, bucket_start)
+      );
+
+      -- Asking-price changes made through /edit, shown as relists in price history
+      CREATE TABLE IF NOT EXISTS listing_price_changes (
+        id           BIGSERIAL PRIMARY KEY,
+        listing_id   TEXT NOT NULL,
+        skin_id      TEXT NOT NULL,
+        seller_id    TEXT NOT NULL,
+        old_price    INTEGER NOT NULL,
+        new_price    INTEGER NOT NULL,
+        changed_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS notifications (
+        id           BIGSERIAL PRIMARY KEY,
+        uid          TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        type         TEXT NOT NULL,
+        message      TEXT NOT NULL,
+        data         JSONB NOT NULL DEFAULT '{}',
+        read_at      TIMESTAMPTZ,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      -- Marketplace watchlist: a single listing, or every listing of a skin at or
+      -- under an optional target price
+      CREATE TABLE IF NOT EXISTS watchlist (
+        id              BIGSERIAL PRIMARY KEY,
+        uid             TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        listing_id      TEXT,
+        skin_id         TEXT,
+        max_price       INTEGER,
+        ending_alerted  BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CHECK ((listing_id IS NULL) <> (skin_id IS NULL))
+      );
+
+      -- One row per background job run (jobs/runner.js)
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id           BIGSERIAL PRIMARY KEY,
+        job          TEXT NOT NULL,
+        instance     TEXT NOT NULL,
+        status       TEXT NOT NULL,
+        result       JSONB,
+        error        TEXT,
+        started_at   TIMESTAMPTZ NOT NULL,
+        finished_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS friend_requests (
+        from_uid     TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        to_uid       TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (from_uid, to_uid)
+      );
+
+      -- One row per direction, so "my friends" is a single-column lookup
+      CREATE TABLE IF NOT EXISTS friends (
+        uid          TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        friend_uid   TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        since        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (uid, friend_uid)
+      );
+
+      CREATE TABLE IF NOT EXISTS user_blocks (
+        uid          TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        blocked_uid  TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (uid, blocked_uid)
+      );
+
+      CREATE TABLE IF NOT EXISTS coin_ledger (
+        id           BIGSERIAL PRIMARY KEY,
+        uid          TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+        coin_delta   INTEGER NOT NULL DEFAULT 0,
+        xp_delta     INTEGER NOT NULL DEFAULT 0,
+        reason       TEXT NOT NULL,
+        ref_id       TEXT,
+        coins_after  INTEGER NOT NULL,
+        xp_after     INTEGER NOT NULL,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS matches (
+        id            TEXT PRIMARY KEY DEFAULT gen_random_uuid()::TEXT,
+        room_code     TEXT NOT NULL,
+        reason        TEXT NOT NULL,
+        wave          INTEGER NOT NULL,
+        score         INTEGER NOT NULL,
+        coins         INTEGER NOT NULL,
+        player_count  INTEGER NOT NULL,
+        started_at    TIMESTAMPTZ NOT NULL,
+        ended_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS match_players (
+        match_id      TEXT NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+        uid           TEXT NOT NULL,
+        username      TEXT NOT NULL,
+        status        TEXT NOT NULL,
+        score         INTEGER NOT NULL,
+        kills         INTEGER NOT NULL,
+        survived      BOOLEAN NOT NULL,
+        coins_earned  INTEGER NOT NULL,
+        xp_earned     INTEGER NOT NULL,
+        PRIMARY KEY (match_id, uid)
+      );
+
       CREATE INDEX IF NOT EXISTS idx_listings_expires       ON listings(expires_at);
       CREATE INDEX IF NOT EXISTS idx_listings_seller        ON listings(seller_id);
       CREATE INDEX IF NOT EXISTS idx_listings_price         ON listings(price);
+      CREATE INDEX IF NOT EXISTS idx_listings_created       ON listings(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_listings_search        ON listings
+        USING GIN (to_tsvector('simple', skin_name || ' ' || skin_id));
       CREATE INDEX IF NOT EXISTS idx_trade_logs_buyer       ON trade_logs(buyer_id, timestamp DESC);
       CREATE INDEX IF NOT EXISTS idx_trade_logs_seller      ON trade_logs(seller_id, timestamp DESC);
       CREATE INDEX IF NOT EXISTS idx_trade_logs_timestamp   ON trade_logs(timestamp DESC);
       CREATE INDEX IF NOT EXISTS idx_users_high_score       ON users(high_score DESC);
       CREATE INDEX IF NOT EXISTS idx_users_total_coins      ON users(total_coins DESC);
       CREATE INDEX IF NOT EXISTS idx_announcements_active   ON announcements(active, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_coin_ledger_uid        ON coin_ledger(uid, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_coin_ledger_reason     ON coin_ledger(uid, reason, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_match_players_uid      ON match_players(uid);
+      CREATE INDEX IF NOT EXISTS idx_crate_openings_uid     ON crate_openings(uid, opened_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_crate_openings_opened  ON crate_openings(opened_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_bp_seasons_dates       ON battle_pass_seasons(starts_at, ends_at);
+      CREATE INDEX IF NOT EXISTS idx_challenge_rotations    ON challenge_rotations(period, starts_at);
+      CREATE INDEX IF NOT EXISTS idx_matches_ended          ON matches(ended_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_auction_bids_listing   ON auction_bids(listing_id, amount DESC);
+      CREATE INDEX IF NOT EXISTS idx_buy_orders_book        ON buy_orders(skin_id, max_price DESC, created_at) WHERE status = 'open';
+      CREATE INDEX IF NOT EXISTS idx_buy_orders_uid         ON buy_orders(uid, status);
+      CREATE INDEX IF NOT EXISTS idx_price_rollups_bucket   ON price_rollups(bucket, bucket_start DESC);
+      CREATE INDEX IF NOT EXISTS idx_price_changes_skin     ON listing_price_changes(skin_id, changed_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_notifications_uid      ON notifications(uid, created_at DESC);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_watchlist_listing ON watchlist(listing_id, uid) WHERE listing_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_watchlist_skin    ON watchlist(skin_id, uid) WHERE skin_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_watchlist_uid          ON watchlist(uid, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_job_runs_job           ON job_runs(job, started_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_friend_requests_to     ON friend_requests(to_uid, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_trade_offers_from      ON trade_offers(from_uid, status);
+      CREATE INDEX IF NOT EXISTS idx_trade_offers_to        ON trade_offers(to_uid, status);
+      CREATE INDEX IF NOT EXISTS idx_trade_offers_expiry    ON trade_offers(expires_at) WHERE status = 'pending';
 
       ALTER TABLE users ADD COLUMN IF NOT EXISTS battle_pass_data    JSONB NOT NULL DEFAULT '{}';
       ALTER TABLE users ADD COLUMN IF NOT EXISTS crate_inventory      JSONB NOT NULL DEFAULT '{"common-crate":0,"rare-crate":0,"epic-crate":0,"legendary-crate":0,"icon-crate":0,"oblivion-crate":0}';
       ALTER TABLE users ADD COLUMN IF NOT EXISTS seen_announcements   TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[];
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS friend_requests_from TEXT NOT NULL DEFAULT 'everyone';
+      ALTER TABLE listings   ADD COLUMN IF NOT EXISTS type          TEXT NOT NULL DEFAULT 'fixed';
+      ALTER TABLE listings   ADD COLUMN IF NOT EXISTS buyout        INTEGER;
+      ALTER TABLE listings   ADD COLUMN IF NOT EXISTS current_bid   INTEGER;
+      ALTER TABLE listings   ADD COLUMN IF NOT EXISTS bidder_id     TEXT;
+      ALTER TABLE listings   ADD COLUMN IF NOT EXISTS bidder_name   TEXT;
+      ALTER TABLE trade_logs ADD COLUMN IF NOT EXISTS kind          TEXT NOT NULL DEFAULT 'marketplace';
+      ALTER TABLE trade_logs ADD COLUMN IF NOT EXISTS offer_id      TEXT;
+
+      -- Build the price rollups from existing sales the first time they exist
+      INSERT INTO price_rollups
+        (skin_id, rarity, bucket, bucket_start, trades, volume, min_price, max_price, last_price, last_trade_at)
+      SELECT t.skin_id, (array_agg(t.rarity ORDER BY t.timestamp DESC))[1], b.bucket,
+             date_trunc(b.bucket, t.timestamp), COUNT(*), SUM(t.price), MIN(t.price), MAX(t.price),
+             (array_agg(t.price ORDER BY t.timestamp DESC))[1], MAX(t.timestamp)
+      FROM trade_logs t
+      CROSS JOIN (VALUES ('hour'), ('day')) AS b(bucket)
+      WHERE t.kind = 'marketplace'
+        AND NOT EXISTS (SELECT 1 FROM price_rollups)
+      GROUP BY t.skin_id, b.bucket, date_trunc(b.bucket, t.timestamp);
+
+      -- Seed the ledger with an opening balance for accounts that predate it
+      INSERT INTO coin_ledger (uid, coin_delta, xp_delta, reason, coins_after, xp_after)
+      SELECT u.uid, u.total_coins, u.current_xp, 'opening_balance', u.total_coins, u.current_xp
+      FROM users u
+      WHERE (u.total_coins <> 0 OR u.current_xp <> 0)
+        AND NOT EXISTS (SELECT 1 FROM coin_ledger l WHERE l.uid = u.uid);
+
+      -- Catalog every skin that predates the skins table: anything owned, listed
+      -- or traded. Listing and trade rows carry seller-supplied names and rarities,
+      -- so nothing is taken from them: unknown ids go in as untradeable
+      -- 'unclassified' placeholders until an admin sets their real name, rarity
+      -- and source (POST /api/skins/admin/update).
+      INSERT INTO skins (id, name, rarity, source, tradeable)
+      SELECT k.skin_id, k.skin_id, 'common', 'unclassified', FALSE
+      FROM (
+        SELECT unnest(owned_skins) AS skin_id FROM users
+        UNION SELECT skin_id FROM listings
+        UNION SELECT skin_id FROM trade_logs
+      ) k
+      WHERE k.skin_id IS NOT NULL
+      ON CONFLICT (id) DO NOTHING;
     `);
     console.log('[DB] Schema ready');
   } finally {
@@ -0,0 +1,37 @@
+// jobs/index.js
+// Registers the scheduled background jobs. server.js calls startJobs() after boot.
+const { registerJob, startJobs, stopJobs } = require('./runner');
+const { returnExpiredListings } = require('../models/listing');
+const { settleEndedAuctions } = require('../models/auction');
+const { expireOrders } = require('../models/buyorder');
+const { expireOffers } = require('../models/trade');
+const { alertEndingSoon } = require('../models/watchlist');
+const { pruneNotifications } = require('../models/notification');
+const { rolloverSeasons } = require('../models/battlepass');
+
+const MARKETPLACE_EXPIRY_MS   = 60 * 1000;
+const NOTIFICATION_CLEANUP_MS = 60 * 60 * 1000;
+const SEASON_ROLLOVER_MS      = 5 * 60 * 1000;
+
+// Expired listings back to sellers, ended auctions settled, expired buy orders
+// and trade offers released, watchers told about listings in their last hour.
+registerJob('marketplace-expiry', MARKETPLACE_EXPIRY_MS, async () => {
+  const listings      = await returnExpiredListings();
+  const auctions      = await settleEndedAuctions();
+  const expiredOrders = await expireOrders();
+  const expiredOffers = await expireOffers();
+  const endingAlerts  = await alertEndingSoon();
+  return { purged: listings.returned, failed: listings.failed, auctions, expiredOrders, expiredOffers, endingAlerts };
+});
+
+registerJob('notification-cleanup', NOTIFICATION_CLEANUP_MS, async () => {
+  return { deleted: await pruneNotifications() };
+});
+
+// Archive battle pass seasons that have ended, with everyone's progress.
+// Reads don't wait for it: the active season is picked by date.
+registerJob('season-rollover', SEASON_ROLLOVER_MS, async () => {
+  return { archived: await rolloverSeasons() };
+});
+
+module.exports = { startJobs, stopJobs };
@@ -0,0 +1,102 @@
+// jobs/runner.js
+// Minimal in-process scheduler. Each job runs on an interval in every server
+// instance, but only one instance at a time actually does the work: a run
+// first takes a Postgres session advisory lock named after the job and skips
+// if another instance holds it. Finished runs are recorded in job_runs.
+const os = require('os');
+const { pool, query } = require('../config/db');
+
+const INSTANCE      = `${os.hostname()}:${process.pid}`;
+const RUN_HISTORY_DAYS = 7;
+
+const jobs = new Map(); // name → { intervalMs, fn, timer, running }
+
+function registerJob(name, intervalMs, fn) {
+  jobs.set(name, { intervalMs, fn, timer: null, running: false });
+}
+
+// ── Run one job now. Returns { result } | { error } | { skipped: true }.
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job)        return { error: `Unknown job: ${name}` };
+  if (job.running) return { skipped: true };
+  job.running = true;
+
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(
+      'SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [`job:${name}`]
+    );
+    if (!rows[0].locked) return { skipped: true };
+
+    const startedAt = new Date();
+    let outcome;
+    try {
+      outcome = { result: await job.fn() };
+    } catch (err) {
+      console.error(`[Jobs] ${name} failed:`, err.message);
+      outcome = { error: err.message };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`job:${name}`]);
+    }
+
+    await query(`
+      INSERT INTO job_runs (job, instance, status, result, error, started_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [name, INSTANCE, outcome.error ? 'error' : 'ok',
+        outcome.result ? JSON.stringify(outcome.result) : null, outcome.error || null, startedAt]);
+    await query(
+      `DELETE FROM job_runs WHERE job = $1 AND started_at < NOW() - make_interval(days => $2)`,
+      [name, RUN_HISTORY_DAYS]
+    );
+    return outcome;
+  } finally {
+    client.release();
+    job.running = false;
+  }
+}
+
+function startJobs() {
+  for (const [name, job] of jobs) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => {
+      runJob(name).catch(err => console.error(`[Jobs] ${name} error:`, err.message));
+    }, job.intervalMs);
+    job.timer.unref();
+    console.log(`[Jobs] ${name} every ${Math.round(job.intervalMs / 1000)}s`);
+  }
+}
+
+function stopJobs() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+// ── Every registered job with its last recorded run (from any instance) + recent history
+async function getJobStatus(historyLimit = 20) {
+  const names = [...jobs.keys()];
+  const { rows: last } = await query(`
+    SELECT DISTINCT ON (job) * FROM job_runs
+    WHERE job = ANY($1)
+    ORDER BY job, started_at DESC
+  `, [names]);
+  const { rows: recent } = await query(
+    'SELECT * FROM job_runs ORDER BY started_at DESC LIMIT $1',
+    [historyLimit]
+  );
+  const lastByJob = new Map(last.map(r => [r.job, r]));
+  return {
+    instance: INSTANCE,
+    jobs: names.map(name => ({
+      name,
+      intervalSeconds: Math.round(jobs.get(name).intervalMs / 1000),
+      runningHere:     jobs.get(name).running,
+      lastRun:         lastByJob.get(name) || null,
+    })),
+    recent,
+  };
+}
+
+module.exports = { registerJob, runJob, startJobs, stopJobs, getJobStatus };
@@ -0,0 +1,112 @@
+// models/achievement.js
+// Achievements are stat thresholds ("best wave ≥ 25") evaluated server-side
+// after progress saves, matches, trades and level-ups.
+const { query } = require('../config/db');
+const { addSkin } = require('./inventory');
+const { calculateTrueLevel } = require('./level');
+
+const ACHIEVEMENT_STATS = ['level', 'high_score', 'matches_played', 'best_wave', 'total_kills', 'trades'];
+
+// ── Current value of every achievement stat for one player
+async function getAchievementStats(client, uid) {
+  const { rows } = await client.query(`
+    SELECT u.current_xp, u.high_score,
+           (SELECT COUNT(*) FROM match_players WHERE uid = $1)                AS matches_played,
+           (SELECT COALESCE(SUM(kills), 0) FROM match_players WHERE uid = $1) AS total_kills,
+           (SELECT COALESCE(MAX(m.wave), 0) FROM match_players mp
+              JOIN matches m ON m.id = mp.match_id WHERE mp.uid = $1)         AS best_wave,
+           (SELECT COUNT(DISTINCT COALESCE(offer_id, id)) FROM trade_logs
+              WHERE buyer_id = $1 OR seller_id = $1)                          AS trades
+    FROM users u WHERE u.uid = $1
+  `, [uid]);
+  const r = rows[0];
+  if (!r) return null;
+  return {
+    level:          calculateTrueLevel(r.current_xp),
+    high_score:     r.high_score,
+    matches_played: parseInt(r.matches_played),
+    best_wave:      r.best_wave,
+    total_kills:    parseInt(r.total_kills),
+    trades:         parseInt(r.trades),
+  };
+}
+
+// ── Unlock every achievement the player now qualifies for (called inside a transaction)
+// Returns the newly unlocked achievements.
+async function evaluateAchievements(client, uid) {
+  const { rows: pending } = await client.query(`
+    SELECT a.* FROM achievements a
+    WHERE NOT EXISTS (
+      SELECT 1 FROM user_achievements ua WHERE ua.uid = $1 AND ua.achievement_id = a.id
+    )
+  `, [uid]);
+  if (pending.length === 0) return [];
+
+  const stats = await getAchievementStats(client, uid);
+  if (!stats) return [];
+
+  const unlocked = [];
+  for (const a of pending) {
+    if (!(stats[a.stat] >= a.threshold)) continue;
+    const { rows } = await client.query(`
+      INSERT INTO user_achievements (uid, achievement_id)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+      RETURNING unlocked_at
+    `, [uid, a.id]);
+    if (!rows[0]) continue;
+    if (a.reward_skin) await addSkin(uid, a.reward_skin, client);
+    unlocked.push({ id: a.id, name: a.name, rewardSkin: a.reward_skin, unlockedAt: rows[0].unlocked_at });
+  }
+  return unlocked;
+}
+
+// ── A player's unlocked achievements + completion percentage (public profile)
+async function getUserAchievements(uid) {
+  const { rows: unlocked } = await query(`
+    SELECT a.id, a.name, a.description, a.reward_skin, ua.unlocked_at
+    FROM user_achievements ua
+    JOIN achievements a ON a.id = ua.achievement_id
+    WHERE ua.uid = $1
+    ORDER BY ua.unlocked_at DESC
+  `, [uid]);
+  const { rows: total } = await query('SELECT COUNT(*) AS cnt FROM achievements');
+  const count = parseInt(total[0].cnt);
+  return {
+    achievements: unlocked,
+    completion:   count > 0 ? Math.round((unlocked.length / count) * 1000) / 10 : 0,
+  };
+}
+
+// ── Full list (hidden ones only for admins) with how many players unlocked each
+async function getAchievements({ includeHidden = false } = {}) {
+  const { rows } = await query(`
+    SELECT a.*, COUNT(ua.uid)::INTEGER AS unlocked_by
+    FROM achievements a
+    LEFT JOIN user_achievements ua ON ua.achievement_id = a.id
+    WHERE $1 OR NOT a.hidden
+    GROUP BY a.id
+    ORDER BY a.stat, a.threshold
+  `, [includeHidden]);
+  return rows;
+}
+
+async function createAchievement({ id, name, description, stat, threshold, rewardSkin, hidden }) {
+  const { rows } = await query(`
+    INSERT INTO achievements (id, name, description, stat, threshold, reward_skin, hidden)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (id) DO NOTHING
+    RETURNING *
+  `, [id, name, description, stat, threshold, rewardSkin || null, !!hidden]);
+  return rows[0] || null; // null means the id is taken
+}
+
+async function deleteAchievement(id) {
+  const { rowCount } = await query('DELETE FROM achievements WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+module.exports = {
+  ACHIEVEMENT_STATS,
+  evaluateAchievements, getUserAchievements, getAchievements, createAchievement, deleteAchievement,
+};
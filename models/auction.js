@@ -0,0 +1,132 @@
+// models/auction.js
+// Timed auctions are listings with type 'auction': `price` is the starting bid,
+// `current_bid` / `bidder_id` the leading bid. The leader's coins are held
+// through the ledger and released as soon as they are outbid.
+const { query, withTransaction } = require('../config/db');
+const { applyLedgerEntry } = require('./ledger');
+const { restoreSkin } = require('./inventory');
+const { deleteListing } = require('./listing');
+const { completeSale } = require('./transaction');
+const { getTradeStatus } = require('./skin');
+const { notify } = require('./notification');
+const { alertListingClosed } = require('./watchlist');
+
+const MIN_INCREMENT_RATE  = 0.05;
+const ANTI_SNIPE_SECONDS  = 60;
+const MIN_AUCTION_HOURS   = 1;
+const MAX_AUCTION_HOURS   = 72;
+
+// ── Lowest bid the auction will accept next
+function minimumBid(listing) {
+  if (!listing.current_bid) return listing.price;
+  return listing.current_bid + Math.max(1, Math.ceil(listing.current_bid * MIN_INCREMENT_RATE));
+}
+
+// ── Give the leading bidder their held coins back (inside a transaction)
+async function releaseHold(client, listing) {
+  if (!listing.bidder_id) return;
+  await applyLedgerEntry(client, {
+    uid: listing.bidder_id, coins: listing.current_bid, reason: 'auction_release', refId: listing.id,
+  });
+}
+
+// ── Record a new leading bid: release the previous hold, hold the new one and
+// push the end time out if the bid landed in the final minute (inside a transaction)
+async function recordBid(client, listing, bidder, amount) {
+  await releaseHold(client, listing);
+  await applyLedgerEntry(client, {
+    uid: bidder.uid, coins: -amount, reason: 'auction_hold', refId: listing.id,
+  });
+  await client.query(
+    'INSERT INTO auction_bids (listing_id, uid, username, amount) VALUES ($1, $2, $3, $4)',
+    [listing.id, bidder.uid, bidder.username, amount]
+  );
+  const { rows } = await client.query(`
+    UPDATE listings SET
+      current_bid = $2,
+      bidder_id   = $3,
+      bidder_name = $4,
+      expires_at  = GREATEST(expires_at, NOW() + make_interval(secs => $5))
+    WHERE id = $1
+    RETURNING *
+  `, [listing.id, amount, bidder.uid, bidder.username, ANTI_SNIPE_SECONDS]);
+  return rows[0];
+}
+
+// ── Settle one ended auction: sell to the leading bidder, or return the skin
+async function settleAuction(listingId) {
+  const settled = await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `SELECT * FROM listings WHERE id = $1 AND type = 'auction' AND expires_at <= NOW() FOR UPDATE`,
+      [listingId]
+    );
+    const listing = rows[0];
+    if (!listing) return null; // still running, or already settled
+
+    if (listing.bidder_id) {
+      const { rows: buyerRows } = await client.query(
+        'SELECT * FROM users WHERE uid = $1 FOR UPDATE',
+        [listing.bidder_id]
+      );
+      const { reason: blocked } = await getTradeStatus(listing.skin_id, client);
+      await releaseHold(client, listing);
+      if (buyerRows[0] && !blocked) {
+        const receipt = await completeSale(client, { listing, buyer: buyerRows[0], price: listing.current_bid });
+        return { listingId, sold: true, sellerId: listing.seller_id, buyerId: listing.bidder_id, ...receipt };
+      }
+    }
+
+    await restoreSkin(listing.seller_id, listing.skin_id, client);
+    await deleteListing(client, listing.id);
+    return { listingId, sold: false, sellerId: listing.seller_id, skinId: listing.skin_id, skinName: listing.skin_name };
+  });
+
+  if (settled?.sold) {
+    await notify(settled.sellerId, 'auction_sold',
+      `Your ${settled.skinName} auction sold for ${settled.price.toLocaleString()} coins (you received ${settled.sellerReceives.toLocaleString()}).`,
+      { listingId, skinId: settled.skinId, price: settled.price });
+    await notify(settled.buyerId, 'auction_won',
+      `You won the ${settled.skinName} auction for ${settled.price.toLocaleString()} coins.`,
+      { listingId, skinId: settled.skinId, price: settled.price });
+  } else if (settled) {
+    await notify(settled.sellerId, 'auction_unsold',
+      `Your ${settled.skinName} auction ended unsold and the skin is back in your inventory.`,
+      { listingId, skinId: settled.skinId });
+  }
+  if (settled) {
+    await alertListingClosed({ id: listingId, skin_id: settled.skinId, skin_name: settled.skinName },
+      settled.sold ? 'sold' : 'expired', settled.price);
+  }
+  return settled;
+}
+
+// ── Settle every auction past its end time. Returns { sold, unsold }.
+async function settleEndedAuctions() {
+  const { rows } = await query(
+    `SELECT id FROM listings WHERE type = 'auction' AND expires_at <= NOW()`
+  );
+  const result = { sold: 0, unsold: 0 };
+  for (const { id } of rows) {
+    try {
+      const settled = await settleAuction(id);
+      if (settled) result[settled.sold ? 'sold' : 'unsold']++;
+    } catch (e) {
+      console.error('[Auctions] settle failed for', id, e.message);
+    }
+  }
+  return result;
+}
+
+// ── Bid history for one auction, highest first
+async function getBids(listingId, limit = 50) {
+  const { rows } = await query(
+    'SELECT username, amount, created_at FROM auction_bids WHERE listing_id = $1 ORDER BY amount DESC LIMIT $2',
+    [listingId, limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  ANTI_SNIPE_SECONDS, MIN_AUCTION_HOURS, MAX_AUCTION_HOURS,
+  minimumBid, releaseHold, recordBid, settleAuction, settleEndedAuctions, getBids,
+};
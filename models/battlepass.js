@@ -0,0 +1,192 @@
+// models/battlepass.js
+// Server-defined battle pass seasons. Players earn season XP from
+// server-recorded activity and claim tier rewards through claimTier.
+const { query, withTransaction } = require('../config/db');
+const { applyLedgerEntry } = require('./ledger');
+const { addCrates } = require('./crate');
+const { addSkin } = require('./inventory');
+
+const TRACKS = ['free', 'premium'];
+
+// ── The season running right now (null between seasons)
+async function getActiveSeason(client = null) {
+  const q = client ? client.query.bind(client) : query;
+  const { rows } = await q(`
+    SELECT * FROM battle_pass_seasons
+    WHERE starts_at <= NOW() AND ends_at > NOW() AND NOT archived
+    ORDER BY starts_at DESC
+    LIMIT 1
+  `);
+  return rows[0] || null;
+}
+
+async function getSeasons() {
+  const { rows } = await query('SELECT * FROM battle_pass_seasons ORDER BY starts_at DESC');
+  return rows;
+}
+
+// ── Archive every season that has ended, freezing its players' progress
+async function rolloverSeasons() {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(`
+      UPDATE battle_pass_seasons SET archived = TRUE
+      WHERE ends_at <= NOW() AND NOT archived
+      RETURNING id
+    `);
+    const ids = rows.map(r => r.id);
+    if (ids.length > 0) {
+      await client.query(
+        'UPDATE battle_pass_progress SET archived_at = NOW() WHERE season_id = ANY($1)',
+        [ids]
+      );
+    }
+    return ids;
+  });
+}
+
+async function createSeason({ id, name, startsAt, endsAt, premiumPrice, tiers }) {
+  const { rows } = await query(`
+    INSERT INTO battle_pass_seasons (id, name, starts_at, ends_at, premium_price, tiers)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (id) DO NOTHING
+    RETURNING *
+  `, [id, name, startsAt, endsAt, premiumPrice, JSON.stringify(tiers)]);
+  return rows[0] || null; // null means the id is taken
+}
+
+// ── Seasons whose date range overlaps [startsAt, endsAt)
+async function getOverlappingSeasons(startsAt, endsAt) {
+  const { rows } = await query(`
+    SELECT id FROM battle_pass_seasons
+    WHERE starts_at < $2 AND ends_at > $1
+  `, [startsAt, endsAt]);
+  return rows;
+}
+
+// ── Delete a season that has not started yet
+async function deleteSeason(id) {
+  const { rowCount } = await query(
+    'DELETE FROM battle_pass_seasons WHERE id = $1 AND starts_at > NOW()',
+    [id]
+  );
+  return rowCount > 0;
+}
+
+// ── A player's progress in one season (defaults when they have none yet)
+async function getProgress(uid, seasonId, client = null) {
+  const q = client ? client.query.bind(client) : query;
+  const { rows } = await q(
+    'SELECT * FROM battle_pass_progress WHERE uid = $1 AND season_id = $2',
+    [uid, seasonId]
+  );
+  return rows[0] || {
+    uid, season_id: seasonId, xp: 0, premium: false,
+    claimed_free: [], claimed_premium: [], archived_at: null,
+  };
+}
+
+// ── Archived seasons a player took part in
+async function getArchivedProgress(uid) {
+  const { rows } = await query(`
+    SELECT p.*, s.name, s.starts_at, s.ends_at
+    FROM battle_pass_progress p
+    JOIN battle_pass_seasons s ON s.id = p.season_id
+    WHERE p.uid = $1 AND p.archived_at IS NOT NULL
+    ORDER BY s.starts_at DESC
+  `, [uid]);
+  return rows;
+}
+
+// ── Credit season XP for server-recorded activity (called inside a transaction)
+async function addSeasonXp(client, uid, xp) {
+  if (xp <= 0) return null;
+  const season = await getActiveSeason(client);
+  if (!season) return null;
+  const { rows } = await client.query(`
+    INSERT INTO battle_pass_progress (uid, season_id, xp)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (uid, season_id) DO UPDATE
+      SET xp = battle_pass_progress.xp + EXCLUDED.xp, updated_at = NOW()
+    RETURNING xp
+  `, [uid, season.id, xp]);
+  return rows[0].xp;
+}
+
+// ── Unlock the premium track for the active season, paid in coins
+async function buyPremium(uid) {
+  return withTransaction(async (client) => {
+    const season = await getActiveSeason(client);
+    if (!season) throw new Error('No battle pass season is running.');
+
+    const progress = await _lockProgress(client, uid, season.id);
+    if (progress.premium) throw new Error('You already own this season\'s premium pass.');
+
+    const balance = await applyLedgerEntry(client, {
+      uid, coins: -season.premium_price, reason: 'battlepass_premium', refId: season.id,
+    });
+    await client.query(
+      'UPDATE battle_pass_progress SET premium = TRUE, updated_at = NOW() WHERE uid = $1 AND season_id = $2',
+      [uid, season.id]
+    );
+    return { seasonId: season.id, newBalance: balance.total_coins };
+  });
+}
+
+// ── Claim one tier's rewards on a track — eligibility check + grant in one transaction
+async function claimTier(uid, tierNumber, track) {
+  return withTransaction(async (client) => {
+    const season = await getActiveSeason(client);
+    if (!season) throw new Error('No battle pass season is running.');
+
+    const tier = season.tiers.find(t => t.tier === tierNumber);
+    if (!tier) throw new Error('That tier does not exist this season.');
+
+    const progress = await _lockProgress(client, uid, season.id);
+    const claimedCol = track === 'premium' ? 'claimed_premium' : 'claimed_free';
+
+    if (progress.xp < tier.xp) {
+      throw new Error(`Tier ${tierNumber} needs ${tier.xp.toLocaleString()} XP. You have ${progress.xp.toLocaleString()}.`);
+    }
+    if (track === 'premium' && !progress.premium) throw new Error('Premium pass required for this reward.');
+    if (progress[claimedCol].includes(tierNumber)) throw new Error('Reward already claimed.');
+
+    const reward = tier[track] || {};
+    const refId  = `${season.id}:${tierNumber}:${track}`;
+
+    if (reward.coins > 0) {
+      await applyLedgerEntry(client, { uid, coins: reward.coins, reason: 'battlepass_reward', refId });
+    }
+    for (const [crateId, count] of Object.entries(reward.crates || {})) {
+      if (count > 0) await addCrates(client, uid, crateId, count);
+    }
+    if (reward.skin) await addSkin(uid, reward.skin, client);
+
+    await client.query(`
+      UPDATE battle_pass_progress
+      SET ${claimedCol} = array_append(${claimedCol}, $3), updated_at = NOW()
+      WHERE uid = $1 AND season_id = $2
+    `, [uid, season.id, tierNumber]);
+
+    return { seasonId: season.id, tier: tierNumber, track, reward };
+  });
+}
+
+// Ensures a progress row exists and locks it for the rest of the transaction
+async function _lockProgress(client, uid, seasonId) {
+  await client.query(`
+    INSERT INTO battle_pass_progress (uid, season_id)
+    VALUES ($1, $2)
+    ON CONFLICT (uid, season_id) DO NOTHING
+  `, [uid, seasonId]);
+  const { rows } = await client.query(
+    'SELECT * FROM battle_pass_progress WHERE uid = $1 AND season_id = $2 FOR UPDATE',
+    [uid, seasonId]
+  );
+  return rows[0];
+}
+
+module.exports = {
+  TRACKS,
+  getActiveSeason, getSeasons, rolloverSeasons, createSeason, getOverlappingSeasons, deleteSeason,
+  getProgress, getArchivedProgress, addSeasonXp, buyPremium, claimTier,
+};
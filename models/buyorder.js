@@ -0,0 +1,148 @@
+// models/buyorder.js
+// Standing buy orders ("I'll pay up to X for skin Y"). The order's coins are
+// held through the ledger while it is open. A new fixed-price listing at or
+// below the best order fills against it at the order's price.
+const { query, withTransaction } = require('../config/db');
+const { applyLedgerEntry } = require('./ledger');
+const { completeSale } = require('./transaction');
+const { isWhitelisted } = require('./user');
+const { checkEligibility } = require('./eligibility');
+
+const ORDER_TTL_DAYS        = 7;
+const MAX_ORDERS_PER_PLAYER = 10;
+
+// ── Open an order and hold its coins (inside a transaction; buyer row locked)
+async function createOrder(client, { buyer, skinId, maxPrice }) {
+  const expiresAt = new Date(Date.now() + ORDER_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const { rows } = await client.query(`
+    INSERT INTO buy_orders (uid, username, skin_id, max_price, expires_at)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [buyer.uid, buyer.username, skinId, maxPrice, expiresAt]);
+  const order = rows[0];
+  await applyLedgerEntry(client, {
+    uid: buyer.uid, coins: -maxPrice, reason: 'buy_order_hold', refId: order.id,
+  });
+  return order;
+}
+
+// ── Close an order and release its hold (inside a transaction)
+async function _closeOrder(client, order, status, listingId = null) {
+  await applyLedgerEntry(client, {
+    uid: order.uid, coins: order.max_price, reason: 'buy_order_release', refId: order.id,
+  });
+  await client.query(
+    'UPDATE buy_orders SET status = $2, listing_id = $3, resolved_at = NOW() WHERE id = $1',
+    [order.id, status, listingId]
+  );
+}
+
+// ── Fill a just-created listing from the best open order, if any (inside the /list transaction)
+// Highest price wins, oldest first on ties. Returns the sale receipt or null.
+async function fillFromBestOrder(client, listing) {
+  const { rows: orders } = await client.query(`
+    SELECT * FROM buy_orders
+    WHERE skin_id = $1 AND status = 'open' AND expires_at > NOW()
+      AND uid <> $2 AND max_price >= $3
+    ORDER BY max_price DESC, created_at ASC
+    FOR UPDATE SKIP LOCKED
+  `, [listing.skin_id, listing.seller_id, listing.price]);
+
+  for (const order of orders) {
+    // The caller already holds the seller, so waiting on the buyer could deadlock
+    // against a /buy that holds the buyer and wants the seller. Skip busy buyers instead.
+    const { rows: buyerRows } = await client.query(
+      'SELECT * FROM users WHERE uid = $1 FOR UPDATE SKIP LOCKED',
+      [order.uid]
+    );
+    const buyer = buyerRows[0];
+    if (!buyer || buyer.owned_skins.includes(listing.skin_id)) continue;
+    const elig = await checkEligibility(buyer, buyer.is_admin, await isWhitelisted(buyer.uid));
+    if (!elig.eligible) continue;
+
+    await _closeOrder(client, order, 'filled', listing.id);
+    const receipt = await completeSale(client, { listing, buyer, price: order.max_price });
+    return { orderId: order.id, buyerId: buyer.uid, buyerName: buyer.username, ...receipt };
+  }
+  return null;
+}
+
+// ── Buyer cancels an open order
+async function cancelOrder(uid, orderId) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query('SELECT * FROM buy_orders WHERE id = $1 FOR UPDATE', [orderId]);
+    const order = rows[0];
+    if (!order || order.uid !== uid) throw new Error('Buy order not found.');
+    if (order.status !== 'open')     throw new Error(`This order was already ${order.status}.`);
+    await _closeOrder(client, order, 'cancelled');
+  });
+}
+
+// ── Release every open order past its expiry. Returns how many expired.
+async function expireOrders() {
+  const { rows } = await query(
+    `SELECT id FROM buy_orders WHERE status = 'open' AND expires_at <= NOW()`
+  );
+  let expired = 0;
+  for (const { id } of rows) {
+    try {
+      await withTransaction(async (client) => {
+        const { rows: locked } = await client.query(
+          `SELECT * FROM buy_orders WHERE id = $1 AND status = 'open' FOR UPDATE`,
+          [id]
+        );
+        if (locked[0]) await _closeOrder(client, locked[0], 'expired');
+      });
+      expired++;
+    } catch (e) {
+      console.error('[Orders] expire failed for', id, e.message);
+    }
+  }
+  return expired;
+}
+
+async function countOpenOrders(client, uid) {
+  const { rows } = await client.query(
+    `SELECT COUNT(*) AS cnt FROM buy_orders WHERE uid = $1 AND status = 'open'`,
+    [uid]
+  );
+  return parseInt(rows[0].cnt);
+}
+
+// ── A player's orders, open ones first
+async function getOrdersByBuyer(uid, limit = 50) {
+  const { rows } = await query(`
+    SELECT * FROM buy_orders
+    WHERE uid = $1
+    ORDER BY (status = 'open') DESC, created_at DESC
+    LIMIT $2
+  `, [uid, limit]);
+  return rows;
+}
+
+// ── Order book for one skin: open buy orders and fixed-price asks, grouped by price
+async function getOrderBook(skinId, depth = 20) {
+  const { rows: bids } = await query(`
+    SELECT max_price AS price, COUNT(*)::INTEGER AS count
+    FROM buy_orders
+    WHERE skin_id = $1 AND status = 'open' AND expires_at > NOW()
+    GROUP BY max_price
+    ORDER BY max_price DESC
+    LIMIT $2
+  `, [skinId, depth]);
+  const { rows: asks } = await query(`
+    SELECT price, COUNT(*)::INTEGER AS count
+    FROM listings
+    WHERE skin_id = $1 AND type = 'fixed' AND expires_at > NOW()
+    GROUP BY price
+    ORDER BY price ASC
+    LIMIT $2
+  `, [skinId, depth]);
+  return { skinId, bids, asks };
+}
+
+module.exports = {
+  ORDER_TTL_DAYS, MAX_ORDERS_PER_PLAYER,
+  createOrder, fillFromBestOrder, cancelOrder, expireOrders,
+  countOpenOrders, getOrdersByBuyer, getOrderBook,
+};
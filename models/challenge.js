@@ -0,0 +1,207 @@
+// models/challenge.js
+// Rotating daily / weekly challenges. Admins define a pool; each period a few
+// active entries are drawn into challenge_rotations. Progress is driven by
+// server-side events only (match results, marketplace actions).
+const { query, withTransaction } = require('../config/db');
+const { applyLedgerEntry } = require('./ledger');
+const { addSeasonXp } = require('./battlepass');
+
+const PERIODS = ['daily', 'weekly'];
+const ROTATION_SIZE = { daily: 3, weekly: 3 };
+
+// Events a challenge can track. `aggregate` is how amounts combine into progress;
+// `params` are the optional filters a pool entry may set (e.g. { enemyType: 'fast' }).
+const CHALLENGE_EVENTS = {
+  enemy_kill:           { aggregate: 'sum', params: ['enemyType'] },
+  powerup_collected:    { aggregate: 'sum', params: ['powerupType'] },
+  wave_reached:         { aggregate: 'max', params: [] },
+  match_completed:      { aggregate: 'sum', params: [] },
+  marketplace_listing:  { aggregate: 'sum', params: [] },
+  marketplace_sale:     { aggregate: 'sum', params: [] },
+  marketplace_purchase: { aggregate: 'sum', params: [] },
+};
+
+// ── Start/end of the period containing `now` (UTC days, weeks start Monday)
+function periodWindow(period, now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'weekly') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + (period === 'weekly' ? 7 : 1));
+  return { start, end };
+}
+
+// ── Draw this period's challenges from the pool if nobody has yet (inside a transaction)
+async function ensureRotation(client, period) {
+  const { start, end } = periodWindow(period);
+  const exists = async () => {
+    const { rows } = await client.query(
+      'SELECT 1 FROM challenge_rotations WHERE period = $1 AND starts_at = $2 LIMIT 1',
+      [period, start]
+    );
+    return rows.length > 0;
+  };
+  if (await exists()) return;
+  // Only the draw is serialised, so two instances can't both fill the same period;
+  // re-check once the lock is held in case another one just did
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`challenge_rotation:${period}`]);
+  if (await exists()) return;
+  await client.query(`
+    INSERT INTO challenge_rotations (challenge_id, period, starts_at, ends_at)
+    SELECT id, period, $2, $3
+    FROM challenge_pool
+    WHERE period = $1 AND active
+    ORDER BY random()
+    LIMIT $4
+  `, [period, start, end, ROTATION_SIZE[period]]);
+}
+
+// ── Every challenge live right now, with its pool definition (inside a transaction)
+async function getActiveRotations(client) {
+  for (const period of PERIODS) await ensureRotation(client, period);
+  const { rows } = await client.query(`
+    SELECT r.id AS rotation_id, r.period, r.starts_at, r.ends_at,
+           p.id AS challenge_id, p.event, p.params, p.target, p.description,
+           p.reward_coins, p.reward_xp
+    FROM challenge_rotations r
+    JOIN challenge_pool p ON p.id = r.challenge_id
+    WHERE r.starts_at <= NOW() AND r.ends_at > NOW()
+    ORDER BY r.period, p.target
+  `);
+  return rows;
+}
+
+function _matchesParams(params, event) {
+  return Object.entries(params || {}).every(([key, value]) => event[key] === value);
+}
+
+// ── Apply a batch of events for one player (called inside the caller's transaction)
+// events: [{ type, amount, ...filters }]  e.g. { type: 'enemy_kill', enemyType: 'fast', amount: 12 }
+async function recordChallengeEvents(client, uid, events) {
+  if (!events || events.length === 0) return;
+  const rotations = await getActiveRotations(client);
+
+  for (const r of rotations) {
+    const def = CHALLENGE_EVENTS[r.event];
+    if (!def) continue;
+
+    let amount = 0;
+    for (const ev of events) {
+      if (ev.type !== r.event || !_matchesParams(r.params, ev)) continue;
+      amount = def.aggregate === 'max' ? Math.max(amount, ev.amount) : amount + ev.amount;
+    }
+    if (amount <= 0) continue;
+
+    const next = def.aggregate === 'max'
+      ? 'GREATEST(challenge_progress.progress, $3::INTEGER)'
+      : 'challenge_progress.progress + $3::INTEGER';
+    await client.query(`
+      INSERT INTO challenge_progress (uid, rotation_id, progress, completed_at)
+      VALUES ($1, $2, LEAST($3::INTEGER, $4::INTEGER), CASE WHEN $3::INTEGER >= $4::INTEGER THEN NOW() END)
+      ON CONFLICT (uid, rotation_id) DO UPDATE SET
+        progress     = LEAST(${next}, $4::INTEGER),
+        completed_at = COALESCE(challenge_progress.completed_at,
+                                CASE WHEN ${next} >= $4 THEN NOW() END),
+        updated_at   = NOW()
+    `, [uid, r.rotation_id, amount, r.target]);
+  }
+}
+
+// ── Active challenges with this player's progress
+async function getChallengesForUser(uid) {
+  return withTransaction(async (client) => {
+    const rotations = await getActiveRotations(client);
+    const { rows: progress } = await client.query(
+      'SELECT * FROM challenge_progress WHERE uid = $1 AND rotation_id = ANY($2)',
+      [uid, rotations.map(r => r.rotation_id)]
+    );
+    const byRotation = new Map(progress.map(p => [p.rotation_id, p]));
+    return rotations.map(r => {
+      const p = byRotation.get(r.rotation_id);
+      return {
+        rotationId:  r.rotation_id,
+        period:      r.period,
+        endsAt:      r.ends_at,
+        description: r.description,
+        event:       r.event,
+        params:      r.params,
+        target:      r.target,
+        progress:    p?.progress || 0,
+        completed:   !!p?.completed_at,
+        claimed:     !!p?.claimed_at,
+        rewardCoins: r.reward_coins,
+        rewardXp:    r.reward_xp,
+      };
+    });
+  });
+}
+
+// ── Claim a completed challenge's reward
+async function claimChallenge(uid, rotationId) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(`
+      SELECT cp.*, p.reward_coins, p.reward_xp
+      FROM challenge_progress cp
+      JOIN challenge_rotations r ON r.id = cp.rotation_id
+      JOIN challenge_pool p ON p.id = r.challenge_id
+      WHERE cp.uid = $1 AND cp.rotation_id = $2
+      FOR UPDATE OF cp
+    `, [uid, rotationId]);
+    const progress = rows[0];
+    if (!progress?.completed_at) throw new Error('Challenge not completed yet.');
+    if (progress.claimed_at)     throw new Error('Reward already claimed.');
+
+    if (progress.reward_coins > 0 || progress.reward_xp > 0) {
+      await applyLedgerEntry(client, {
+        uid, coins: progress.reward_coins, xp: progress.reward_xp,
+        reason: 'challenge_reward', refId: rotationId,
+      });
+      await addSeasonXp(client, uid, progress.reward_xp);
+    }
+    await client.query(
+      'UPDATE challenge_progress SET claimed_at = NOW() WHERE uid = $1 AND rotation_id = $2',
+      [uid, rotationId]
+    );
+    return { coins: progress.reward_coins, xp: progress.reward_xp };
+  });
+}
+
+// ─── Pool management (admin) ─────────────────────────────────
+
+async function getPool() {
+  const { rows } = await query('SELECT * FROM challenge_pool ORDER BY period, event, target');
+  return rows;
+}
+
+async function createPoolEntry({ period, event, params, target, description, rewardCoins, rewardXp }) {
+  const { rows } = await query(`
+    INSERT INTO challenge_pool (period, event, params, target, description, reward_coins, reward_xp)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [period, event, JSON.stringify(params || {}), target, description, rewardCoins, rewardXp]);
+  return rows[0];
+}
+
+async function setPoolEntryActive(id, active) {
+  const { rows } = await query(
+    'UPDATE challenge_pool SET active = $2 WHERE id = $1 RETURNING *',
+    [id, active]
+  );
+  return rows[0] || null;
+}
+
+// ── Delete a pool entry that has never been rotated in (otherwise deactivate it)
+async function deletePoolEntry(id) {
+  const { rows } = await query(
+    'SELECT 1 FROM challenge_rotations WHERE challenge_id = $1 LIMIT 1',
+    [id]
+  );
+  if (rows.length > 0) return { error: 'Challenge has been used in a rotation — deactivate it instead' };
+  const { rowCount } = await query('DELETE FROM challenge_pool WHERE id = $1', [id]);
+  return rowCount > 0 ? { deleted: true } : { error: 'Challenge not found' };
+}
+
+module.exports = {
+  PERIODS, CHALLENGE_EVENTS,
+  recordChallengeEvents, getChallengesForUser, claimChallenge,
+  getPool, createPoolEntry, setPoolEntryActive, deletePoolEntry,
+};
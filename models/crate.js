@@ -0,0 +1,149 @@
+// models/crate.js
+// Crate inventory, admin-configurable drop tables and server-side opening.
+const crypto = require('crypto');
+const { query, withTransaction } = require('../config/db');
+const { applyLedgerEntry } = require('./ledger');
+const { addSkin } = require('./inventory');
+
+const CRATE_TYPES = [
+  'common-crate', 'rare-crate', 'epic-crate',
+  'legendary-crate', 'icon-crate', 'oblivion-crate',
+];
+
+// Coins refunded when a crate rolls a skin the player already owns
+const DUPLICATE_REFUND = {
+  common:    50,
+  rare:      250,
+  epic:      1000,
+  legendary: 4000,
+  mythic:    12500,
+  icon:      500,
+};
+
+// ── Drop table for one crate, with each entry's chance (0–1)
+async function getDropTable(crateId, client = null) {
+  const q = client ? client.query.bind(client) : query;
+  const { rows } = await q(`
+    SELECT d.skin_id, d.weight, s.name, s.rarity
+    FROM crate_drops d
+    JOIN skins s ON s.id = d.skin_id
+    WHERE d.crate_id = $1
+    ORDER BY d.weight DESC, s.name
+  `, [crateId]);
+  const total = rows.reduce((sum, r) => sum + r.weight, 0);
+  return rows.map(r => ({
+    skinId: r.skin_id,
+    name:   r.name,
+    rarity: r.rarity,
+    weight: r.weight,
+    chance: total > 0 ? r.weight / total : 0,
+  }));
+}
+
+// ── Every crate's drop table (public odds page)
+async function getAllDropTables() {
+  const tables = {};
+  for (const crateId of CRATE_TYPES) tables[crateId] = await getDropTable(crateId);
+  return tables;
+}
+
+// ── Replace a crate's drop table wholesale (called inside a transaction)
+async function setDropTable(client, crateId, drops) {
+  await client.query('DELETE FROM crate_drops WHERE crate_id = $1', [crateId]);
+  for (const { skinId, weight } of drops) {
+    await client.query(
+      'INSERT INTO crate_drops (crate_id, skin_id, weight) VALUES ($1, $2, $3)',
+      [crateId, skinId, weight]
+    );
+  }
+}
+
+// ── Add (or with a negative count, remove) crates (called inside a transaction)
+async function addCrates(client, uid, crateId, count) {
+  const { rows } = await client.query(`
+    UPDATE users SET
+      crate_inventory = jsonb_set(
+        crate_inventory, ARRAY[$2::TEXT],
+        to_jsonb(COALESCE((crate_inventory->>$2)::INTEGER, 0) + $3)
+      ),
+      updated_at = NOW()
+    WHERE uid = $1
+    RETURNING crate_inventory
+  `, [uid, crateId, count]);
+  if (!rows[0]) throw new Error('User account not found.');
+  return rows[0].crate_inventory;
+}
+
+function rollDrop(table) {
+  const total = table.reduce((sum, d) => sum + d.weight, 0);
+  let roll = crypto.randomInt(total);
+  for (const drop of table) {
+    roll -= drop.weight;
+    if (roll < 0) return drop;
+  }
+  return table[table.length - 1];
+}
+
+// ── Open one crate: decrement, roll, grant or refund, audit — all in one transaction
+async function openCrate(uid, crateId) {
+  return withTransaction(async (client) => {
+    const { rows: userRows } = await client.query(
+      'SELECT owned_skins, crate_inventory FROM users WHERE uid = $1 FOR UPDATE',
+      [uid]
+    );
+    const user = userRows[0];
+    if (!user) throw new Error('User account not found.');
+    if (!(user.crate_inventory?.[crateId] > 0)) throw new Error('You have no crates of this type.');
+
+    const table = await getDropTable(crateId, client);
+    if (table.length === 0) throw new Error('No drop table is configured for this crate yet.');
+
+    const drop      = rollDrop(table);
+    const duplicate = user.owned_skins.includes(drop.skinId);
+    const refund    = duplicate ? (DUPLICATE_REFUND[drop.rarity] || 0) : 0;
+
+    const inventory = await addCrates(client, uid, crateId, -1);
+
+    const { rows } = await client.query(`
+      INSERT INTO crate_openings (uid, crate_id, skin_id, rarity, duplicate, refund)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, opened_at
+    `, [uid, crateId, drop.skinId, drop.rarity, duplicate, refund]);
+    const opening = rows[0];
+
+    if (duplicate) {
+      if (refund > 0) {
+        await applyLedgerEntry(client, { uid, coins: refund, reason: 'crate_duplicate', refId: opening.id });
+      }
+    } else {
+      await addSkin(uid, drop.skinId, client);
+    }
+
+    return {
+      openingId:      opening.id,
+      crateId,
+      skinId:         drop.skinId,
+      skinName:       drop.name,
+      rarity:         drop.rarity,
+      duplicate,
+      refund,
+      crateInventory: inventory,
+    };
+  });
+}
+
+// ── Opening history, newest first (one player, or everyone when uid is null)
+async function getRecentOpenings({ uid = null, limit = 50 } = {}) {
+  const { rows } = await query(`
+    SELECT * FROM crate_openings
+    WHERE ($1::TEXT IS NULL OR uid = $1)
+    ORDER BY opened_at DESC
+    LIMIT $2
+  `, [uid, limit]);
+  return rows;
+}
+
+module.exports = {
+  CRATE_TYPES, DUPLICATE_REFUND,
+  getDropTable, getAllDropTables, setDropTable, addCrates, openCrate, getRecentOpenings,
+};
@@ -0,0 +1,51 @@
+// models/eligibility.js
+// Who may trade, and when a skin may change hands again. Shared by the
+// marketplace and direct trade offers.
+const { calculateTrueLevel } = require('./level');
+
+const MIN_ACCOUNT_AGE_DAYS = 7;
+const MIN_LEVEL            = 15;
+const SKIN_COOLDOWN_HOURS  = 24;
+
+// Accounts created before the v4.2.0 launch bypass the 7-day wait
+const SHOP_UPDATE_TIMESTAMP_MS = new Date('2026-02-18T12:45:00Z').getTime();
+
+// ── Account age + level gate (admins and whitelisted players bypass it)
+async function checkEligibility(user, userIsAdmin, userIsWhitelisted) {
+  if (userIsAdmin || userIsWhitelisted) return { eligible: true };
+
+  const createdMs  = new Date(user.created_at).getTime();
+  const isLegacy   = createdMs < SHOP_UPDATE_TIMESTAMP_MS;
+  const ageDays    = (Date.now() - createdMs) / 86400000;
+
+  if (!isLegacy && ageDays < MIN_ACCOUNT_AGE_DAYS) {
+    const left = Math.ceil(MIN_ACCOUNT_AGE_DAYS - ageDays);
+    return {
+      eligible: false,
+      reason: `Account must be at least 7 days old. ${left} day${left !== 1 ? 's' : ''} remaining.`,
+    };
+  }
+
+  const level = calculateTrueLevel(user.current_xp);
+  if (level < MIN_LEVEL) {
+    return {
+      eligible: false,
+      reason: `Level ${MIN_LEVEL}+ required. You are Level ${level}.`,
+    };
+  }
+
+  return { eligible: true };
+}
+
+// ── Whole hours left on a skin's trade cooldown (0 when it can be traded)
+function cooldownHoursLeft(user, skinId) {
+  const receivedRaw = user.skin_received_times?.[skinId];
+  if (!receivedRaw) return 0;
+  const hoursAgo = (Date.now() - new Date(receivedRaw).getTime()) / 3600000;
+  return hoursAgo < SKIN_COOLDOWN_HOURS ? Math.ceil(SKIN_COOLDOWN_HOURS - hoursAgo) : 0;
+}
+
+module.exports = {
+  MIN_ACCOUNT_AGE_DAYS, MIN_LEVEL, SKIN_COOLDOWN_HOURS,
+  checkEligibility, cooldownHoursLeft,
+};
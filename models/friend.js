@@ -0,0 +1,261 @@
+// models/friend.js
+// Friend requests and the friends list. An accepted friendship is stored as
+// two rows in `friends` (one per direction); a pending one as a single row in
+// `friend_requests`. Who may send you a request is your `friend_requests_from`
+// setting: everyone, friends_of_friends or nobody. A block (either way) stops
+// requests and room invites between two players.
+const { query, withTransaction } = require('../config/db');
+const { calculateTrueLevel } = require('./level');
+const { notify } = require('./notification');
+
+const MAX_FRIENDS          = 200;
+const MAX_OUTGOING_PENDING = 50;
+const MAX_BLOCKS           = 500;
+const REQUEST_PRIVACY      = ['everyone', 'friends_of_friends', 'nobody'];
+
+async function _countFriends(client, uid) {
+  const { rows } = await client.query('SELECT COUNT(*) AS cnt FROM friends WHERE uid = $1', [uid]);
+  return parseInt(rows[0].cnt);
+}
+
+async function _haveMutualFriend(client, a, b) {
+  const { rows } = await client.query(`
+    SELECT 1 FROM friends fa
+    JOIN friends fb ON fb.friend_uid = fa.friend_uid AND fb.uid = $2
+    WHERE fa.uid = $1
+    LIMIT 1
+  `, [a, b]);
+  return rows.length > 0;
+}
+
+// ── True if either player has blocked the other
+async function isBlocked(a, b, client = null) {
+  const q = client ? client.query.bind(client) : query;
+  const { rows } = await q(
+    'SELECT 1 FROM user_blocks WHERE (uid = $1 AND blocked_uid = $2) OR (uid = $2 AND blocked_uid = $1) LIMIT 1',
+    [a, b]
+  );
+  return rows.length > 0;
+}
+
+// ── Make two players friends and clear any requests between them (inside a transaction)
+async function _befriend(client, a, b) {
+  for (const [uid, other] of [[a, b], [b, a]]) {
+    if (await _countFriends(client, uid) >= MAX_FRIENDS) {
+      throw new Error(`Friends list is full (${MAX_FRIENDS}).`);
+    }
+    await client.query(
+      'INSERT INTO friends (uid, friend_uid) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [uid, other]
+    );
+  }
+  await client.query(
+    'DELETE FROM friend_requests WHERE (from_uid = $1 AND to_uid = $2) OR (from_uid = $2 AND to_uid = $1)',
+    [a, b]
+  );
+}
+
+// ── Send a request to a player by uid or username. If they already asked you,
+// this accepts theirs instead. Returns { status: 'sent' | 'accepted', user }.
+async function sendRequest(from, { toUid, username }) {
+  const result = await withTransaction(async (client) => {
+    const { rows: targetRows } = await client.query(
+      toUid ? 'SELECT uid, username, friend_requests_from FROM users WHERE uid = $1'
+            : 'SELECT uid, username, friend_requests_from FROM users WHERE LOWER(username) = LOWER($1)',
+      [toUid || username]
+    );
+    const target = targetRows[0];
+    if (!target)                 throw new Error('Player not found.');
+    if (target.uid === from.uid) throw new Error('You cannot friend yourself.');
+
+    // Lock both players in uid order so crossing requests can't both insert
+    await client.query(
+      'SELECT uid FROM users WHERE uid = ANY($1) ORDER BY uid FOR UPDATE',
+      [[from.uid, target.uid]]
+    );
+
+    const { rows: already } = await client.query(
+      'SELECT 1 FROM friends WHERE uid = $1 AND friend_uid = $2', [from.uid, target.uid]
+    );
+    if (already[0]) throw new Error(`You are already friends with ${target.username}.`);
+    if (await isBlocked(from.uid, target.uid, client)) {
+      throw new Error(`You can't send ${target.username} a friend request.`);
+    }
+
+    const { rows: theirs } = await client.query(
+      'SELECT 1 FROM friend_requests WHERE from_uid = $1 AND to_uid = $2', [target.uid, from.uid]
+    );
+    if (theirs[0]) {
+      await _befriend(client, from.uid, target.uid);
+      return { status: 'accepted', target };
+    }
+
+    if (target.friend_requests_from === 'nobody') {
+      throw new Error(`${target.username} is not accepting friend requests.`);
+    }
+    if (target.friend_requests_from === 'friends_of_friends' &&
+        !await _haveMutualFriend(client, from.uid, target.uid)) {
+      throw new Error(`${target.username} only accepts requests from friends of friends.`);
+    }
+
+    const { rows: outgoing } = await client.query(
+      'SELECT COUNT(*) AS cnt FROM friend_requests WHERE from_uid = $1', [from.uid]
+    );
+    if (parseInt(outgoing[0].cnt) >= MAX_OUTGOING_PENDING) {
+      throw new Error(`Maximum ${MAX_OUTGOING_PENDING} pending friend requests.`);
+    }
+    const { rowCount } = await client.query(
+      'INSERT INTO friend_requests (from_uid, to_uid) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [from.uid, target.uid]
+    );
+    if (!rowCount) throw new Error(`You already sent ${target.username} a request.`);
+    return { status: 'sent', target };
+  });
+
+  const { status, target } = result;
+  if (status === 'sent') {
+    await notify(target.uid, 'friend_request', `${from.username} sent you a friend request.`, { fromUid: from.uid });
+  } else {
+    await notify(target.uid, 'friend_accepted', `${from.username} accepted your friend request.`, { uid: from.uid });
+  }
+  return { status, user: { uid: target.uid, username: target.username } };
+}
+
+// ── Accept a pending request from `fromUid`
+async function acceptRequest(user, fromUid) {
+  await withTransaction(async (client) => {
+    await client.query(
+      'SELECT uid FROM users WHERE uid = ANY($1) ORDER BY uid FOR UPDATE',
+      [[user.uid, fromUid]]
+    );
+    const { rows } = await client.query(
+      'SELECT 1 FROM friend_requests WHERE from_uid = $1 AND to_uid = $2', [fromUid, user.uid]
+    );
+    if (!rows[0]) throw new Error('Friend request not found.');
+    await _befriend(client, user.uid, fromUid);
+  });
+  await notify(fromUid, 'friend_accepted', `${user.username} accepted your friend request.`, { uid: user.uid });
+}
+
+async function declineRequest(uid, fromUid) {
+  const { rowCount } = await query(
+    'DELETE FROM friend_requests WHERE from_uid = $1 AND to_uid = $2', [fromUid, uid]
+  );
+  if (!rowCount) throw new Error('Friend request not found.');
+}
+
+// ── Unfriend, or withdraw a request you sent. Returns 'removed' | 'cancelled'.
+async function removeFriend(uid, otherUid) {
+  return withTransaction(async (client) => {
+    const { rowCount } = await client.query(
+      'DELETE FROM friends WHERE (uid = $1 AND friend_uid = $2) OR (uid = $2 AND friend_uid = $1)',
+      [uid, otherUid]
+    );
+    if (rowCount) return 'removed';
+    const { rowCount: cancelled } = await client.query(
+      'DELETE FROM friend_requests WHERE from_uid = $1 AND to_uid = $2', [uid, otherUid]
+    );
+    if (cancelled) return 'cancelled';
+    throw new Error('Not friends with that player.');
+  });
+}
+
+// ── Block a player: ends any friendship and pending requests between you
+async function blockUser(uid, blockedUid) {
+  if (uid === blockedUid) throw new Error('You cannot block yourself.');
+  await withTransaction(async (client) => {
+    const { rows: target } = await client.query('SELECT 1 FROM users WHERE uid = $1', [blockedUid]);
+    if (!target[0]) throw new Error('Player not found.');
+    const { rows } = await client.query('SELECT COUNT(*) AS cnt FROM user_blocks WHERE uid = $1', [uid]);
+    if (parseInt(rows[0].cnt) >= MAX_BLOCKS) throw new Error(`Maximum ${MAX_BLOCKS} blocked players.`);
+    await client.query(
+      'INSERT INTO user_blocks (uid, blocked_uid) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [uid, blockedUid]
+    );
+    await client.query(
+      'DELETE FROM friends WHERE (uid = $1 AND friend_uid = $2) OR (uid = $2 AND friend_uid = $1)',
+      [uid, blockedUid]
+    );
+    await client.query(
+      'DELETE FROM friend_requests WHERE (from_uid = $1 AND to_uid = $2) OR (from_uid = $2 AND to_uid = $1)',
+      [uid, blockedUid]
+    );
+  });
+}
+
+async function unblockUser(uid, blockedUid) {
+  const { rowCount } = await query(
+    'DELETE FROM user_blocks WHERE uid = $1 AND blocked_uid = $2', [uid, blockedUid]
+  );
+  if (!rowCount) throw new Error('That player is not blocked.');
+}
+
+async function getBlocked(uid) {
+  const { rows } = await query(`
+    SELECT b.blocked_uid AS uid, u.username, b.created_at
+    FROM user_blocks b
+    JOIN users u ON u.uid = b.blocked_uid
+    WHERE b.uid = $1
+    ORDER BY b.created_at DESC
+  `, [uid]);
+  return rows;
+}
+
+async function getFriendUids(uid) {
+  const { rows } = await query('SELECT friend_uid FROM friends WHERE uid = $1', [uid]);
+  return rows.map(r => r.friend_uid);
+}
+
+async function getFriends(uid) {
+  const { rows } = await query(`
+    SELECT u.uid, u.username, u.active_skin, u.current_xp, f.since
+    FROM friends f
+    JOIN users u ON u.uid = f.friend_uid
+    WHERE f.uid = $1
+    ORDER BY LOWER(u.username)
+  `, [uid]);
+  return rows.map(r => ({
+    uid:        r.uid,
+    username:   r.username,
+    activeSkin: r.active_skin,
+    level:      calculateTrueLevel(r.current_xp),
+    since:      r.since,
+  }));
+}
+
+// ── Pending requests both ways, newest first
+async function getRequests(uid) {
+  const { rows } = await query(`
+    SELECT r.from_uid, r.to_uid, r.created_at, u.username
+    FROM friend_requests r
+    JOIN users u ON u.uid = CASE WHEN r.from_uid = $1 THEN r.to_uid ELSE r.from_uid END
+    WHERE r.from_uid = $1 OR r.to_uid = $1
+    ORDER BY r.created_at DESC
+  `, [uid]);
+  const incoming = [];
+  const outgoing = [];
+  for (const r of rows) {
+    if (r.to_uid === uid) incoming.push({ uid: r.from_uid, username: r.username, createdAt: r.created_at });
+    else                  outgoing.push({ uid: r.to_uid,   username: r.username, createdAt: r.created_at });
+  }
+  return { incoming, outgoing };
+}
+
+async function getPrivacy(uid) {
+  const { rows } = await query('SELECT friend_requests_from FROM users WHERE uid = $1', [uid]);
+  return { friendRequestsFrom: rows[0]?.friend_requests_from || 'everyone' };
+}
+
+async function setPrivacy(uid, friendRequestsFrom) {
+  await query(
+    'UPDATE users SET friend_requests_from = $2, updated_at = NOW() WHERE uid = $1',
+    [uid, friendRequestsFrom]
+  );
+}
+
+module.exports = {
+  MAX_FRIENDS, REQUEST_PRIVACY,
+  sendRequest, acceptRequest, declineRequest, removeFriend,
+  isBlocked, blockUser, unblockUser, getBlocked,
+  getFriendUids, getFriends, getRequests, getPrivacy, setPrivacy,
+};
@@ -38,6 +38,16 @@ async function removeSkin(uid, skinId, client) {
   `, [uid, skinId]);
 }
 
+// ── Return an escrowed skin to its owner, keeping its original trade cooldown
+async function restoreSkin(uid, skinId, client) {
+  await client.query(`
+    UPDATE users
+    SET owned_skins = array_append(owned_skins, $2),
+        updated_at  = NOW()
+    WHERE uid = $1 AND NOT ($2 = ANY(owned_skins))
+  `, [uid, skinId]);
+}
+
 // ── Check if a skin was received within the last N hours (trade cooldown)
 async function getSkinReceivedTime(uid, skinId) {
   const { rows } = await query(
@@ -47,4 +57,4 @@ async function getSkinReceivedTime(uid, skinId) {
   return rows[0]?.received_at || null;
 }
 
-module.exports = { getOwnedSkins, addSkin, removeSkin, getSkinReceivedTime };
+module.exports = { getOwnedSkins, addSkin, removeSkin, restoreSkin, getSkinReceivedTime };
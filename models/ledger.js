@@ -0,0 +1,100 @@
+// models/ledger.js
+// Append-only coin/XP ledger. Every balance change goes through applyLedgerEntry
+// so users.total_coins / current_xp can always be reconciled against it.
+const { query } = require('../config/db');
+const { calculateTrueLevel } = require('./level');
+const { evaluateAchievements } = require('./achievement');
+
+// ── Record a signed coin/XP delta and apply it to the user's balance
+// Must be called inside a transaction. Throws (→ ROLLBACK) if coins would go negative.
+// A level-up re-evaluates achievements; any unlocks come back on `balance.unlocked`.
+async function applyLedgerEntry(client, { uid, coins = 0, xp = 0, reason, refId = null }) {
+  if (!reason) throw new Error('Ledger entry requires a reason.');
+
+  const { rows } = await client.query(`
+    UPDATE users SET
+      total_coins = total_coins + $2,
+      current_xp  = current_xp  + $3,
+      updated_at  = NOW()
+    WHERE uid = $1
+    RETURNING total_coins, current_xp
+  `, [uid, coins, xp]);
+  const balance = rows[0];
+  if (!balance)                 throw new Error('User account not found.');
+  if (balance.total_coins < 0)  throw new Error('Not enough coins.');
+
+  await client.query(`
+    INSERT INTO coin_ledger (uid, coin_delta, xp_delta, reason, ref_id, coins_after, xp_after)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [uid, coins, xp, reason, refId, balance.total_coins, balance.current_xp]);
+
+  balance.unlocked = xp > 0 && calculateTrueLevel(balance.current_xp) > calculateTrueLevel(balance.current_xp - xp)
+    ? await evaluateAchievements(client, uid)
+    : [];
+  return balance;
+}
+
+// ── Sum of coin/XP deltas for one reason inside a rolling window (plausibility caps)
+async function sumRecentDeltas(client, uid, reason, windowMinutes) {
+  const { rows } = await client.query(`
+    SELECT COALESCE(SUM(coin_delta), 0) AS coins, COALESCE(SUM(xp_delta), 0) AS xp
+    FROM coin_ledger
+    WHERE uid = $1 AND reason = $2
+      AND created_at > NOW() - make_interval(mins => $3)
+  `, [uid, reason, windowMinutes]);
+  return { coins: parseInt(rows[0].coins), xp: parseInt(rows[0].xp) };
+}
+
+// ── Most recent ledger rows for a user (player history / admin audit)
+async function getLedgerForUser(uid, limit = 50) {
+  const { rows } = await query(
+    `SELECT * FROM coin_ledger WHERE uid = $1 ORDER BY id DESC LIMIT $2`,
+    [uid, limit]
+  );
+  return rows;
+}
+
+// ── Compare stored balances with the ledger totals
+async function getReconciliation(uid) {
+  const { rows } = await query(`
+    SELECT u.total_coins, u.current_xp,
+           COALESCE(SUM(l.coin_delta), 0) AS ledger_coins,
+           COALESCE(SUM(l.xp_delta), 0)   AS ledger_xp
+    FROM users u
+    LEFT JOIN coin_ledger l ON l.uid = u.uid
+    WHERE u.uid = $1
+    GROUP BY u.uid
+  `, [uid]);
+  if (!rows[0]) return null;
+  const r = rows[0];
+  return {
+    totalCoins:  r.total_coins,
+    currentXp:   r.current_xp,
+    ledgerCoins: parseInt(r.ledger_coins),
+    ledgerXp:    parseInt(r.ledger_xp),
+    coinDrift:   r.total_coins - parseInt(r.ledger_coins),
+    xpDrift:     r.current_xp  - parseInt(r.ledger_xp),
+  };
+}
+
+// ── Reset stored balances to the ledger totals (called inside a transaction)
+async function reconcileBalance(client, uid) {
+  const { rows } = await client.query(`
+    UPDATE users u SET
+      total_coins = l.coins,
+      current_xp  = l.xp,
+      updated_at  = NOW()
+    FROM (
+      SELECT COALESCE(SUM(coin_delta), 0) AS coins, COALESCE(SUM(xp_delta), 0) AS xp
+      FROM coin_ledger WHERE uid = $1
+    ) l
+    WHERE u.uid = $1
+    RETURNING u.total_coins, u.current_xp
+  `, [uid]);
+  return rows[0] || null;
+}
+
+module.exports = {
+  applyLedgerEntry, sumRecentDeltas, getLedgerForUser,
+  getReconciliation, reconcileBalance,
+};
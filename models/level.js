@@ -0,0 +1,9 @@
+// models/level.js
+
+// XP → level formula (must match calculateTrueLevel in game.js)
+function calculateTrueLevel(xp) {
+  if (xp <= 0) return 0;
+  return Math.floor(Math.sqrt(xp / 100));
+}
+
+module.exports = { calculateTrueLevel };
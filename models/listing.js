@@ -1,29 +1,117 @@
 // models/listing.js
-const { query } = require('../config/db');
+const { query, withTransaction } = require('../config/db');
+const { addSkin } = require('./inventory');
+const { notify } = require('./notification');
+const { alertListingClosed } = require('./watchlist');
 
-const PAGE_SIZE = 20;
+const LISTING_TTL_DAYS = 7;
+const PAGE_SIZE     = 20;
+const MAX_PAGE_SIZE = 50;
 
-// ── Fetch active (non-expired) listings with optional rarity filter + pagination
-async function getListings({ rarity = 'all', sort = 'price_asc', page = 1 } = {}) {
-  const offset = (page - 1) * PAGE_SIZE;
-  const orderClause = sort === 'price_desc' ? 'price DESC' : 'price ASC';
+// Sort key → column, direction. Every sort breaks ties on id so cursors are stable.
+const SORTS = {
+  price_asc:   { column: 'price',      dir: 'ASC'  },
+  price_desc:  { column: 'price',      dir: 'DESC' },
+  newest:      { column: 'created_at', dir: 'DESC' },
+  ending_soon: { column: 'expires_at', dir: 'ASC'  },
+};
+const SORT_CASTS = { price: 'INTEGER', created_at: 'TIMESTAMPTZ', expires_at: 'TIMESTAMPTZ' };
+// Whether a cursor's sort value will survive its column's cast
+const CAST_CHECKS = {
+  INTEGER:     (v) => /^-?\d{1,9}$/.test(v),
+  TIMESTAMPTZ: (v) => /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:?\d{2})?|Z)?$/.test(v)
+                      && !Number.isNaN(Date.parse(v)),
+};
 
-  let sql = `
-    SELECT id, seller_id, seller_name, skin_id, skin_name, rarity, price, created_at, expires_at
-    FROM listings
-    WHERE expires_at > NOW()
-  `;
+// Cursors are opaque base64 of [sortValue, id] from the last row of the previous page
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+// Returns null unless the cursor is well-formed and its value fits `column`
+function decodeCursor(cursor, column) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof id !== 'string' || typeof value !== 'string') return null;
+    if (!CAST_CHECKS[SORT_CASTS[column]](value)) return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+// "gold champ" → "gold:* & champ:*" (prefix match on every word)
+function toPrefixQuery(search) {
+  const words = search.toLowerCase().match(/[a-z0-9]+/g) || [];
+  return words.slice(0, 5).map(w => `${w}:*`).join(' & ');
+}
+
+// ── WHERE clause shared by the page query and the counts. `skipRarity` leaves the
+// rarity filter out so facet counts show every rarity.
+function buildFilters(filters, params, skipRarity = false) {
+  const { rarity = 'all', search, minPrice, maxPrice, seller, type, endingWithinHours } = filters;
+  const where = ['expires_at > NOW()'];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace(/\?/g, `$${params.length}`)); };
+
+  if (rarity !== 'all' && !skipRarity) add('rarity = ?', rarity);
+  if (search) {
+    const tsquery = toPrefixQuery(search);
+    if (tsquery) add(`to_tsvector('simple', skin_name || ' ' || skin_id) @@ to_tsquery('simple', ?)`, tsquery);
+  }
+  if (minPrice != null) add('price >= ?', minPrice);
+  if (maxPrice != null) add('price <= ?', maxPrice);
+  if (seller)           add('(seller_id = ? OR LOWER(seller_name) = LOWER(?))', seller);
+  if (type)             add('type = ?', type);
+  if (endingWithinHours != null) add(`expires_at <= NOW() + make_interval(hours => ?)`, endingWithinHours);
+  return where;
+}
+
+// ── Active (non-expired) listings matching the filters, one page at a time
+// Returns { listings, nextCursor } — nextCursor is null on the last page.
+async function getListings(filters = {}) {
+  const sort  = SORTS[filters.sort] || SORTS.price_asc;
+  const limit = Math.min(filters.limit || PAGE_SIZE, MAX_PAGE_SIZE);
   const params = [];
+  const where  = buildFilters(filters, params);
 
-  if (rarity !== 'all') {
-    params.push(rarity);
-    sql += ` AND rarity = $${params.length}`;
+  const after = filters.cursor ? decodeCursor(filters.cursor, sort.column) : null;
+  if (filters.cursor && !after) throw new Error('Invalid cursor');
+  if (after) {
+    params.push(after.value, after.id);
+    const op = sort.dir === 'ASC' ? '>' : '<';
+    where.push(`(${sort.column}, id) ${op} ($${params.length - 1}::${SORT_CASTS[sort.column]}, $${params.length})`);
   }
 
-  sql += ` ORDER BY ${orderClause} LIMIT ${PAGE_SIZE} OFFSET ${offset}`;
+  const { rows } = await query(`
+    SELECT id, seller_id, seller_name, skin_id, skin_name, rarity, price, created_at, expires_at,
+           type, buyout, current_bid, bidder_name, ${sort.column}::TEXT AS sort_value
+    FROM listings
+    WHERE ${where.join(' AND ')}
+    ORDER BY ${sort.column} ${sort.dir}, id ${sort.dir}
+    LIMIT ${limit + 1}
+  `, params);
 
-  const { rows } = await query(sql, params);
-  return rows;
+  const hasMore  = rows.length > limit;
+  const listings = rows.slice(0, limit).map(({ sort_value, ...listing }) => listing);
+  const last     = rows[limit - 1];
+  return { listings, nextCursor: hasMore ? encodeCursor(last.sort_value, last.id) : null };
+}
+
+// ── Total matching listings + per-rarity facet counts (rarity filter ignored for facets)
+async function countListings(filters = {}) {
+  const params = [];
+  const where  = buildFilters(filters, params, true);
+  const { rows } = await query(`
+    SELECT rarity, COUNT(*)::INTEGER AS count
+    FROM listings
+    WHERE ${where.join(' AND ')}
+    GROUP BY rarity
+  `, params);
+  const facets = Object.fromEntries(rows.map(r => [r.rarity, r.count]));
+  const rarity = filters.rarity || 'all';
+  const total  = rarity === 'all'
+    ? rows.reduce((sum, r) => sum + r.count, 0)
+    : facets[rarity] || 0;
+  return { total, facets };
 }
 
 // ── Get a single listing (including expired — needed for admin purge)
@@ -55,13 +143,36 @@ async function getListingsBySeller(uid) {
 }
 
 // ── Create a listing (called inside a transaction)
-async function createListing(client, { sellerId, sellerName, skinId, skinName, rarity, price }) {
-  const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+// Auctions pass type 'auction', price = starting bid, an optional buyout and their end time.
+async function createListing(client, {
+  sellerId, sellerName, skinId, skinName, rarity, price,
+  type = 'fixed', buyout = null, expiresAt = null,
+}) {
+  expiresAt = expiresAt || new Date(Date.now() + LISTING_TTL_DAYS * 24 * 60 * 60 * 1000);
   const { rows } = await client.query(`
-    INSERT INTO listings (seller_id, seller_name, skin_id, skin_name, rarity, price, expires_at)
-    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    INSERT INTO listings (seller_id, seller_name, skin_id, skin_name, rarity, price, expires_at, type, buyout)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
     RETURNING *
-  `, [sellerId, sellerName, skinId, skinName, rarity, price, expiresAt]);
+  `, [sellerId, sellerName, skinId, skinName, rarity, price, expiresAt, type, buyout]);
+  return rows[0];
+}
+
+// ── Set a new asking price and restart the listing's clock (inside a transaction;
+// listing row locked). Price changes are kept for price history.
+async function repriceListing(client, listing, price) {
+  const expiresAt = new Date(Date.now() + LISTING_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const { rows } = await client.query(
+    'UPDATE listings SET price = $2, expires_at = $3 WHERE id = $1 RETURNING *',
+    [listing.id, price, expiresAt]
+  );
+  if (price !== listing.price) {
+    await client.query(`
+      INSERT INTO listing_price_changes (listing_id, skin_id, seller_id, old_price, new_price)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [listing.id, listing.skin_id, listing.seller_id, listing.price, price]);
+  }
+  // The renewed listing gets a fresh "ending soon" alert for its watchers
+  await client.query('UPDATE watchlist SET ending_alerted = FALSE WHERE listing_id = $1', [listing.id]);
   return rows[0];
 }
 
@@ -70,13 +181,50 @@ async function deleteListing(client, id) {
   await client.query('DELETE FROM listings WHERE id = $1', [id]);
 }
 
-// ── Admin: all expired listings
+// ── Admin: all expired fixed-price listings (ended auctions are settled instead)
 async function getExpiredListings() {
-  const { rows } = await query(`SELECT * FROM listings WHERE expires_at <= NOW()`);
+  const { rows } = await query(`SELECT * FROM listings WHERE expires_at <= NOW() AND type = 'fixed'`);
   return rows;
 }
 
+// ── Give every expired fixed-price listing's skin back to its seller, one
+// transaction per listing, and tell the seller. Returns { returned, failed }.
+async function returnExpiredListings() {
+  const expired = await getExpiredListings();
+  const result = { returned: 0, failed: 0 };
+  for (const listing of expired) {
+    try {
+      const returned = await withTransaction(async (client) => {
+        const { rows: locked } = await client.query(
+          'SELECT * FROM listings WHERE id = $1 AND expires_at <= NOW() FOR UPDATE',
+          [listing.id]
+        );
+        if (!locked[0]) return false; // bought, cancelled or edited meanwhile
+        const { rows } = await client.query(
+          'SELECT owned_skins FROM users WHERE uid = $1', [listing.seller_id]
+        );
+        if (rows[0] && !rows[0].owned_skins.includes(listing.skin_id)) {
+          await addSkin(listing.seller_id, listing.skin_id, client);
+        }
+        await deleteListing(client, listing.id);
+        return true;
+      });
+      if (!returned) continue;
+      result.returned++;
+      await notify(listing.seller_id, 'listing_expired',
+        `Your ${listing.skin_name} listing expired and the skin is back in your inventory.`,
+        { listingId: listing.id, skinId: listing.skin_id });
+      await alertListingClosed(listing, 'expired');
+    } catch (e) {
+      result.failed++;
+      console.error('[MP] expiry failed for', listing.id, e.message);
+    }
+  }
+  return result;
+}
+
 module.exports = {
-  getListings, getListingById, countActiveListingsBySeller,
-  getListingsBySeller, createListing, deleteListing, getExpiredListings,
+  SORTS, LISTING_TTL_DAYS, decodeCursor,
+  getListings, countListings, getListingById, countActiveListingsBySeller,
+  getListingsBySeller, createListing, repriceListing, deleteListing, getExpiredListings, returnExpiredListings,
 };
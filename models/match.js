@@ -0,0 +1,67 @@
+// models/match.js
+// Finished co-op matches. Rewards are credited here, from the game server's
+// room state — the client never reports multiplayer results.
+const { query, withTransaction } = require('../config/db');
+const { applyLedgerEntry } = require('./ledger');
+const { addSeasonXp } = require('./battlepass');
+const { recordChallengeEvents } = require('./challenge');
+const { evaluateAchievements } = require('./achievement');
+
+// ── Store a finished match and credit every participant (one transaction)
+// players: [{ uid, username, status, score, kills, survived, coins, xp, events }]
+async function recordMatch({ roomCode, reason, wave, score, coins, startedAt, endedAt, players }) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(`
+      INSERT INTO matches (room_code, reason, wave, score, coins, player_count, started_at, ended_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [roomCode, reason, wave, score, coins, players.length, startedAt, endedAt]);
+    const matchId = rows[0].id;
+
+    for (const p of players) {
+      const { rows: userRows } = await client.query(
+        'SELECT uid FROM users WHERE uid = $1 FOR UPDATE',
+        [p.uid]
+      );
+      if (!userRows[0]) continue; // account deleted mid-match
+
+      await client.query(`
+        INSERT INTO match_players
+          (match_id, uid, username, status, score, kills, survived, coins_earned, xp_earned)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [matchId, p.uid, p.username, p.status, p.score, p.kills, p.survived, p.coins, p.xp]);
+
+      if (p.coins > 0 || p.xp > 0) {
+        await applyLedgerEntry(client, {
+          uid: p.uid, coins: p.coins, xp: p.xp, reason: 'match_reward', refId: matchId,
+        });
+        await addSeasonXp(client, p.uid, p.xp);
+      }
+      await client.query(
+        'UPDATE users SET high_score = GREATEST(high_score, $2), updated_at = NOW() WHERE uid = $1',
+        [p.uid, p.score]
+      );
+      await recordChallengeEvents(client, p.uid, p.events);
+      await evaluateAchievements(client, p.uid);
+    }
+
+    return matchId;
+  });
+}
+
+// ── Recent matches a player took part in (profile match history)
+async function getRecentMatches(uid, limit = 20) {
+  const { rows } = await query(`
+    SELECT m.id, m.reason, m.wave, m.score AS team_score, m.player_count,
+           m.started_at, m.ended_at,
+           mp.status, mp.score, mp.kills, mp.survived, mp.coins_earned, mp.xp_earned
+    FROM match_players mp
+    JOIN matches m ON m.id = mp.match_id
+    WHERE mp.uid = $1
+    ORDER BY m.ended_at DESC
+    LIMIT $2
+  `, [uid, limit]);
+  return rows;
+}
+
+module.exports = { recordMatch, getRecentMatches };
@@ -0,0 +1,90 @@
+// models/notification.js
+// Stored per-player notifications, pushed live to any connected client.
+const { query } = require('../config/db');
+const { emitToUser, emitToAll } = require('../multiplayer/userChannel');
+
+const PAGE_SIZE      = 30;
+const MAX_PAGE_SIZE  = 100;
+const RETENTION_DAYS = 30;
+
+// ── Store a notification and push it to the player's sockets
+// Call after the transaction that caused it has committed. Never throws —
+// a failed notification must not undo the action it describes.
+async function notify(uid, type, message, data = {}) {
+  try {
+    const { rows } = await query(`
+      INSERT INTO notifications (uid, type, message, data)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, type, message, data, read_at, created_at
+    `, [uid, type, message, JSON.stringify(data)]);
+    emitToUser(uid, 'notification', rows[0]);
+    return rows[0];
+  } catch (err) {
+    console.error('[Notify] failed for', uid, type, err.message);
+    return null;
+  }
+}
+
+// ── Same notification for every player who isn't banned (announcements).
+// One insert for the fan-out and one broadcast; the broadcast has no id, so
+// clients refresh their inbox to get it. Never throws.
+async function notifyAll(type, message, data = {}) {
+  try {
+    const { rowCount } = await query(`
+      INSERT INTO notifications (uid, type, message, data)
+      SELECT uid, $1, $2, $3 FROM users WHERE NOT is_banned
+    `, [type, message, JSON.stringify(data)]);
+    emitToAll('notification', { id: null, type, message, data, read_at: null, created_at: new Date() });
+    return rowCount;
+  } catch (err) {
+    console.error('[Notify] broadcast failed for', type, err.message);
+    return 0;
+  }
+}
+
+// ── A player's inbox, newest first. `before` is the last id of the previous page.
+async function getNotifications(uid, { before = null, unreadOnly = false, limit = PAGE_SIZE } = {}) {
+  const { rows } = await query(`
+    SELECT id, type, message, data, read_at, created_at
+    FROM notifications
+    WHERE uid = $1
+      AND ($2::BIGINT IS NULL OR id < $2::BIGINT)
+      AND (NOT $3::BOOLEAN OR read_at IS NULL)
+    ORDER BY id DESC
+    LIMIT $4
+  `, [uid, before, unreadOnly, Math.min(limit, MAX_PAGE_SIZE)]);
+  return rows;
+}
+
+async function countUnread(uid) {
+  const { rows } = await query(
+    'SELECT COUNT(*) AS cnt FROM notifications WHERE uid = $1 AND read_at IS NULL',
+    [uid]
+  );
+  return parseInt(rows[0].cnt);
+}
+
+// ── Mark some (ids) or all (ids = null) of a player's notifications read.
+// Other open clients are told so their badge stays in sync. Returns how many changed.
+async function markRead(uid, ids = null) {
+  const { rowCount } = await query(`
+    UPDATE notifications SET read_at = NOW()
+    WHERE uid = $1 AND read_at IS NULL AND ($2::BIGINT[] IS NULL OR id = ANY($2::BIGINT[]))
+  `, [uid, ids]);
+  if (rowCount) emitToUser(uid, 'notifications_read', { ids, unread: await countUnread(uid) });
+  return rowCount;
+}
+
+// ── Drop notifications older than the retention window (run by the job)
+async function pruneNotifications() {
+  const { rowCount } = await query(
+    'DELETE FROM notifications WHERE created_at < NOW() - make_interval(days => $1)',
+    [RETENTION_DAYS]
+  );
+  return rowCount;
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  notify, notifyAll, getNotifications, countUnread, markRead, pruneNotifications,
+};
@@ -0,0 +1,154 @@
+// models/price.js
+// Public price history and market analytics, read from price_rollups
+// (sales) and listing_price_changes (relists).
+// Every marketplace sale adds itself to its hour and day bucket in the same
+// transaction that logs it, so these reads never touch trade_logs.
+const { query } = require('../config/db');
+
+const BUCKETS = { hour: { maxRange: 168 }, day: { maxRange: 90 } };
+
+// ── Add one sale to its hour and day buckets (called from logTrade)
+async function recordSalePrice(client, { skinId, rarity, price, at }) {
+  await client.query(`
+    INSERT INTO price_rollups
+      (skin_id, rarity, bucket, bucket_start, trades, volume, min_price, max_price, last_price, last_trade_at)
+    SELECT $1, $2, b.bucket, date_trunc(b.bucket, $4::TIMESTAMPTZ), 1, $3::INTEGER, $3::INTEGER, $3::INTEGER, $3::INTEGER, $4::TIMESTAMPTZ
+    FROM (VALUES ('hour'), ('day')) AS b(bucket)
+    ON CONFLICT (skin_id, bucket, bucket_start) DO UPDATE SET
+      rarity        = EXCLUDED.rarity,
+      trades        = price_rollups.trades + 1,
+      volume        = price_rollups.volume + EXCLUDED.volume,
+      min_price     = LEAST(price_rollups.min_price, EXCLUDED.min_price),
+      max_price     = GREATEST(price_rollups.max_price, EXCLUDED.max_price),
+      last_price    = CASE WHEN EXCLUDED.last_trade_at >= price_rollups.last_trade_at
+                           THEN EXCLUDED.last_price ELSE price_rollups.last_price END,
+      last_trade_at = GREATEST(price_rollups.last_trade_at, EXCLUDED.last_trade_at)
+  `, [skinId, rarity, price, at]);
+}
+
+function _bucketRow(r) {
+  return {
+    bucketStart: r.bucket_start,
+    trades:      r.trades,
+    volume:      parseInt(r.volume),
+    average:     Math.round(parseInt(r.volume) / r.trades),
+    min:         r.min_price,
+    max:         r.max_price,
+    last:        r.last_price,
+  };
+}
+
+// ── Bucketed history for one skin, oldest first. `range` is in buckets.
+async function getPriceHistory(skinId, { bucket = 'day', range = 30 } = {}) {
+  const { rows } = await query(`
+    SELECT * FROM price_rollups
+    WHERE skin_id = $1 AND bucket = $2
+      AND bucket_start > date_trunc($2, NOW()) - make_interval(hours => $3 * CASE WHEN $2 = 'day' THEN 24 ELSE 1 END)
+    ORDER BY bucket_start ASC
+  `, [skinId, bucket, range]);
+  return rows.map(_bucketRow);
+}
+
+// ── Last sale plus rolling 7-day average, volume, trade count and min/max for one skin
+async function getPriceSummary(skinId) {
+  const { rows: last } = await query(`
+    SELECT last_price, last_trade_at FROM price_rollups
+    WHERE skin_id = $1 AND bucket = 'hour'
+    ORDER BY bucket_start DESC LIMIT 1
+  `, [skinId]);
+  const { rows } = await query(`
+    SELECT COALESCE(SUM(trades), 0) AS trades, COALESCE(SUM(volume), 0) AS volume,
+           MIN(min_price) AS min, MAX(max_price) AS max
+    FROM price_rollups
+    WHERE skin_id = $1 AND bucket = 'hour' AND bucket_start > NOW() - INTERVAL '7 days'
+  `, [skinId]);
+  const week   = rows[0];
+  const trades = parseInt(week.trades);
+  const volume = parseInt(week.volume);
+  return {
+    lastSale:    last[0] ? { price: last[0].last_price, at: last[0].last_trade_at } : null,
+    average7d:   trades > 0 ? Math.round(volume / trades) : null,
+    volume7d:    volume,
+    trades7d:    trades,
+    min7d:       week.min,
+    max7d:       week.max,
+  };
+}
+
+// ── Recent asking-price changes for one skin (sellers repricing via /edit), newest first
+async function getRelists(skinId, limit = 20) {
+  const { rows } = await query(`
+    SELECT listing_id, old_price, new_price, changed_at
+    FROM listing_price_changes
+    WHERE skin_id = $1
+    ORDER BY changed_at DESC
+    LIMIT $2
+  `, [skinId, limit]);
+  return rows.map(r => ({
+    listingId: r.listing_id,
+    oldPrice:  r.old_price,
+    newPrice:  r.new_price,
+    changedAt: r.changed_at,
+  }));
+}
+
+// ── Per-rarity index: average sale price this week vs last week
+async function getRarityIndices() {
+  const { rows } = await query(`
+    SELECT rarity,
+           SUM(trades) FILTER (WHERE bucket_start >  NOW() - INTERVAL '7 days') AS trades,
+           SUM(volume) FILTER (WHERE bucket_start >  NOW() - INTERVAL '7 days') AS volume,
+           SUM(trades) FILTER (WHERE bucket_start <= NOW() - INTERVAL '7 days') AS prev_trades,
+           SUM(volume) FILTER (WHERE bucket_start <= NOW() - INTERVAL '7 days') AS prev_volume
+    FROM price_rollups
+    WHERE bucket = 'hour' AND bucket_start > NOW() - INTERVAL '14 days'
+    GROUP BY rarity
+  `);
+  return rows.map(r => {
+    const average     = r.trades      ? Math.round(parseInt(r.volume) / parseInt(r.trades))           : null;
+    const prevAverage = r.prev_trades ? Math.round(parseInt(r.prev_volume) / parseInt(r.prev_trades)) : null;
+    return {
+      rarity:        r.rarity,
+      trades7d:      parseInt(r.trades || 0),
+      volume7d:      parseInt(r.volume || 0),
+      average7d:     average,
+      changePercent: average && prevAverage ? Math.round(((average - prevAverage) / prevAverage) * 1000) / 10 : null,
+    };
+  });
+}
+
+// ── Most-traded skins over the last 24 hours, with price change vs the 24 hours before
+async function getTrending(limit = 10) {
+  const { rows } = await query(`
+    SELECT r.skin_id, s.name, s.rarity,
+           SUM(r.trades) FILTER (WHERE r.bucket_start >  NOW() - INTERVAL '24 hours') AS trades,
+           SUM(r.volume) FILTER (WHERE r.bucket_start >  NOW() - INTERVAL '24 hours') AS volume,
+           SUM(r.trades) FILTER (WHERE r.bucket_start <= NOW() - INTERVAL '24 hours') AS prev_trades,
+           SUM(r.volume) FILTER (WHERE r.bucket_start <= NOW() - INTERVAL '24 hours') AS prev_volume
+    FROM price_rollups r
+    JOIN skins s ON s.id = r.skin_id
+    WHERE r.bucket = 'hour' AND r.bucket_start > NOW() - INTERVAL '48 hours'
+    GROUP BY r.skin_id, s.name, s.rarity
+    HAVING SUM(r.trades) FILTER (WHERE r.bucket_start > NOW() - INTERVAL '24 hours') > 0
+    ORDER BY trades DESC, volume DESC
+    LIMIT $1
+  `, [limit]);
+  return rows.map(r => {
+    const average     = Math.round(parseInt(r.volume) / parseInt(r.trades));
+    const prevAverage = r.prev_trades ? Math.round(parseInt(r.prev_volume) / parseInt(r.prev_trades)) : null;
+    return {
+      skinId:        r.skin_id,
+      name:          r.name,
+      rarity:        r.rarity,
+      trades24h:     parseInt(r.trades),
+      volume24h:     parseInt(r.volume),
+      average24h:    average,
+      changePercent: prevAverage ? Math.round(((average - prevAverage) / prevAverage) * 1000) / 10 : null,
+    };
+  });
+}
+
+module.exports = {
+  BUCKETS,
+  recordSalePrice, getPriceHistory, getPriceSummary, getRelists, getRarityIndices, getTrending,
+};
@@ -0,0 +1,98 @@
+// models/skin.js
+// Server-side skin catalog. Display name, rarity and tradeability come from
+// here — never from the request body.
+const { query } = require('../config/db');
+
+const SKIN_RARITIES = ['common', 'rare', 'epic', 'legendary', 'mythic', 'icon'];
+// 'unclassified' marks skins backfilled at startup that an admin hasn't reviewed yet
+const SKIN_SOURCES  = ['crate', 'battlepass', 'champion', 'default', 'unclassified'];
+
+const UNTRADEABLE_MESSAGES = {
+  champion:   'Champion skins are achievement rewards and cannot be traded.',
+  battlepass: 'Battle pass skins cannot be traded.',
+  default:    'Default skins cannot be traded.',
+  unclassified: 'This skin has not been reviewed yet and cannot be traded.',
+};
+
+// ── Single catalog entry (null if the id is unknown)
+async function getSkin(id, client = null) {
+  const q = client ? client.query.bind(client) : query;
+  const { rows } = await q('SELECT * FROM skins WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+// ── Whole catalog with optional rarity / source filters
+async function listSkins({ rarity, source } = {}) {
+  let sql = 'SELECT * FROM skins WHERE TRUE';
+  const params = [];
+  if (rarity) { params.push(rarity); sql += ` AND rarity = $${params.length}`; }
+  if (source) { params.push(source); sql += ` AND source = $${params.length}`; }
+  params.push(SKIN_RARITIES);
+  sql += ` ORDER BY array_position($${params.length}::TEXT[], rarity), name`;
+  const { rows } = await query(sql, params);
+  return rows;
+}
+
+async function createSkin({ id, name, rarity, source, tradeable }) {
+  const { rows } = await query(`
+    INSERT INTO skins (id, name, rarity, source, tradeable)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (id) DO NOTHING
+    RETURNING *
+  `, [id, name, rarity, source, tradeable]);
+  return rows[0] || null; // null means the id is taken
+}
+
+async function updateSkin(id, { name, rarity, source, tradeable }) {
+  const { rows } = await query(`
+    UPDATE skins SET
+      name       = COALESCE($2, name),
+      rarity     = COALESCE($3, rarity),
+      source     = COALESCE($4, source),
+      tradeable  = COALESCE($5, tradeable),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [id, name ?? null, rarity ?? null, source ?? null, tradeable ?? null]);
+  return rows[0] || null;
+}
+
+// ── Delete a catalog entry — refused while any player still owns or lists it
+async function deleteSkin(id) {
+  const { rows: holders } = await query(`
+    SELECT 1 FROM users WHERE $1 = ANY(owned_skins)
+    UNION ALL
+    SELECT 1 FROM listings WHERE skin_id = $1
+    UNION ALL
+    SELECT 1 FROM trade_offers WHERE status = 'pending' AND $1 = ANY(offer_skins)
+    UNION ALL
+    SELECT 1 FROM buy_orders WHERE status = 'open' AND skin_id = $1
+    UNION ALL
+    SELECT 1 FROM achievements WHERE reward_skin = $1
+    LIMIT 1
+  `, [id]);
+  if (holders.length > 0) return { error: 'Skin is still owned, listed, ordered, in trade escrow or used as an achievement reward' };
+  const { rowCount } = await query('DELETE FROM skins WHERE id = $1', [id]);
+  return rowCount > 0 ? { deleted: true } : { error: 'Skin not found' };
+}
+
+// ── Can this skin change hands? Returns { skin, reason } — reason is null when tradeable
+async function getTradeStatus(skinId, client = null) {
+  const q = client ? client.query.bind(client) : query;
+  const { rows } = await q(`
+    SELECT s.*, tr.reason AS restriction
+    FROM skins s
+    LEFT JOIN trade_restrictions tr ON tr.skin_id = s.id
+    WHERE s.id = $1
+  `, [skinId]);
+  const skin = rows[0];
+  if (!skin)            return { skin: null, reason: 'Unknown skin.' };
+  if (!skin.tradeable)  return { skin, reason: UNTRADEABLE_MESSAGES[skin.source] || 'This skin cannot be traded.' };
+  if (skin.restriction) return { skin, reason: `Trading is restricted for this skin: ${skin.restriction}` };
+  return { skin, reason: null };
+}
+
+module.exports = {
+  SKIN_RARITIES, SKIN_SOURCES,
+  getSkin, listSkins, createSkin, updateSkin, deleteSkin, getTradeStatus,
+};
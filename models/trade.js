@@ -0,0 +1,304 @@
+// models/trade.js
+// Direct player-to-player trade offers. Whoever sends an offer (or a counter)
+// puts their side in escrow — skins leave their inventory, coins are debited —
+// until the recipient accepts, declines, it is cancelled or it expires.
+// The recipient's side is not held while the offer is pending: they haven't
+// agreed to anything, and holding it would let anyone freeze another player's
+// skins by sending offers. It is checked and moved when they accept.
+const { query, withTransaction } = require('../config/db');
+const { addSkin, removeSkin, restoreSkin } = require('./inventory');
+const { applyLedgerEntry } = require('./ledger');
+const { getTradeStatus } = require('./skin');
+const { isWhitelisted } = require('./user');
+const { logTrade } = require('./transaction');
+const { evaluateAchievements } = require('./achievement');
+const { checkEligibility, cooldownHoursLeft } = require('./eligibility');
+
+const OFFER_TTL_HOURS       = 72;
+const MAX_SKINS_PER_SIDE    = 8;
+const MAX_COINS_PER_SIDE    = 1000000;
+const MAX_PENDING_PER_PLAYER = 10;
+
+// ── Lock both players in uid order so two trades between them can't deadlock
+async function _lockUsers(client, uids) {
+  const { rows } = await client.query(
+    'SELECT * FROM users WHERE uid = ANY($1) ORDER BY uid FOR UPDATE',
+    [uids]
+  );
+  return new Map(rows.map(u => [u.uid, u]));
+}
+
+async function _assertEligible(user, who) {
+  const elig = await checkEligibility(user, user.is_admin, await isWhitelisted(user.uid));
+  if (!elig.eligible) throw new Error(who === 'you' ? elig.reason : `${user.username} can't trade yet.`);
+}
+
+// ── Every skin in `skinIds` is owned by `user`, not equipped, off cooldown and tradeable
+async function _assertCanGive(client, user, skinIds, who) {
+  for (const skinId of skinIds) {
+    const { skin, reason } = await getTradeStatus(skinId, client);
+    if (!skin)   throw new Error(`Unknown skin: ${skinId}.`);
+    if (reason)  throw new Error(reason);
+    if (!user.owned_skins.includes(skinId)) {
+      throw new Error(who === 'you' ? `You do not own ${skin.name}.` : `${user.username} no longer owns ${skin.name}.`);
+    }
+    if (user.active_skin === skinId) {
+      throw new Error(who === 'you' ? `Unequip ${skin.name} before trading it.` : `${user.username} has ${skin.name} equipped.`);
+    }
+    const remaining = cooldownHoursLeft(user, skinId);
+    if (remaining > 0) throw new Error(`Trade cooldown: ${remaining}h remaining on ${skin.name}.`);
+  }
+}
+
+function _assertReceivable(user, skinIds) {
+  const dupe = skinIds.find(id => user.owned_skins.includes(id));
+  if (dupe) throw new Error(`${user.username} already owns ${dupe}.`);
+}
+
+// ── Create an offer and escrow the sender's side (inside a transaction)
+async function _openOffer(client, { from, to, offerSkins, offerCoins, requestSkins, requestCoins, counterOf = null }) {
+  const { rows: pending } = await client.query(
+    `SELECT COUNT(*) AS cnt FROM trade_offers WHERE from_uid = $1 AND status = 'pending'`,
+    [from.uid]
+  );
+  if (parseInt(pending[0].cnt) >= MAX_PENDING_PER_PLAYER) {
+    throw new Error(`Maximum ${MAX_PENDING_PER_PLAYER} pending trade offers.`);
+  }
+
+  await _assertEligible(from, 'you');
+  await _assertCanGive(client, from, offerSkins, 'you');
+  for (const skinId of requestSkins) {
+    const { skin, reason } = await getTradeStatus(skinId, client);
+    if (!skin)  throw new Error(`Unknown skin: ${skinId}.`);
+    if (reason) throw new Error(reason);
+    if (!to.owned_skins.includes(skinId)) throw new Error(`${to.username} does not own ${skin.name}.`);
+  }
+  _assertReceivable(to, offerSkins);
+  _assertReceivable(from, requestSkins);
+  if (from.total_coins < offerCoins) throw new Error('Not enough coins.');
+
+  const expiresAt = new Date(Date.now() + OFFER_TTL_HOURS * 3600000);
+  const { rows } = await client.query(`
+    INSERT INTO trade_offers
+      (from_uid, to_uid, offer_skins, offer_coins, request_skins, request_coins, counter_of, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [from.uid, to.uid, offerSkins, offerCoins, requestSkins, requestCoins, counterOf, expiresAt]);
+  const offer = rows[0];
+
+  for (const skinId of offerSkins) await removeSkin(from.uid, skinId, client);
+  if (offerCoins > 0) {
+    await applyLedgerEntry(client, { uid: from.uid, coins: -offerCoins, reason: 'trade_escrow', refId: offer.id });
+  }
+  return offer;
+}
+
+// ── Return the sender's escrow and close the offer (inside a transaction)
+async function _closeOffer(client, offer, status) {
+  for (const skinId of offer.offer_skins) await restoreSkin(offer.from_uid, skinId, client);
+  if (offer.offer_coins > 0) {
+    await applyLedgerEntry(client, {
+      uid: offer.from_uid, coins: offer.offer_coins, reason: 'trade_escrow_refund', refId: offer.id,
+    });
+  }
+  await client.query(
+    'UPDATE trade_offers SET status = $2, resolved_at = NOW() WHERE id = $1',
+    [offer.id, status]
+  );
+}
+
+async function _lockPendingOffer(client, offerId) {
+  const { rows } = await client.query('SELECT * FROM trade_offers WHERE id = $1 FOR UPDATE', [offerId]);
+  const offer = rows[0];
+  if (!offer)                     throw new Error('Trade offer not found.');
+  if (offer.status !== 'pending') throw new Error(`This offer was already ${offer.status}.`);
+  return offer;
+}
+
+// ── Send a new offer
+async function createOffer(fromUid, toUid, terms) {
+  if (fromUid === toUid) throw new Error('You cannot trade with yourself.');
+  return withTransaction(async (client) => {
+    const users = await _lockUsers(client, [fromUid, toUid]);
+    const from = users.get(fromUid);
+    const to   = users.get(toUid);
+    if (!from) throw new Error('Your account was not found.');
+    if (!to)   throw new Error('Player not found.');
+    return _openOffer(client, { from, to, ...terms });
+  });
+}
+
+// ── Recipient accepts: both sides change hands in one transaction. The recipient's
+// side was never escrowed, so this fails cleanly if they have since spent it.
+async function acceptOffer(uid, offerId) {
+  return withTransaction(async (client) => {
+    const offer = await _lockPendingOffer(client, offerId);
+    if (offer.to_uid !== uid) throw new Error('This offer is not addressed to you.');
+    if (new Date(offer.expires_at) < new Date()) throw new Error('This offer has expired.');
+
+    const users = await _lockUsers(client, [offer.from_uid, offer.to_uid]);
+    const from = users.get(offer.from_uid);
+    const to   = users.get(offer.to_uid);
+    if (!from || !to) throw new Error('One of the players no longer exists.');
+
+    await _assertEligible(to, 'you');
+    await _assertEligible(from, 'them');
+    await _assertCanGive(client, to, offer.request_skins, 'you');
+    for (const skinId of offer.offer_skins) {
+      const { reason } = await getTradeStatus(skinId, client);
+      if (reason) throw new Error(reason);
+    }
+    _assertReceivable(to, offer.offer_skins);
+    _assertReceivable(from, offer.request_skins);
+    if (to.total_coins < offer.request_coins) throw new Error('Not enough coins.');
+
+    // Sender's side comes out of escrow, recipient's side out of their inventory
+    for (const skinId of offer.request_skins) {
+      await removeSkin(to.uid, skinId, client);
+      await addSkin(from.uid, skinId, client);
+    }
+    for (const skinId of offer.offer_skins) await addSkin(to.uid, skinId, client);
+
+    if (offer.request_coins > 0) {
+      await applyLedgerEntry(client, { uid: to.uid,   coins: -offer.request_coins, reason: 'trade_payment', refId: offer.id });
+      await applyLedgerEntry(client, { uid: from.uid, coins:  offer.request_coins, reason: 'trade_receipt', refId: offer.id });
+    }
+    if (offer.offer_coins > 0) {
+      await applyLedgerEntry(client, { uid: to.uid, coins: offer.offer_coins, reason: 'trade_receipt', refId: offer.id });
+    }
+
+    await client.query(
+      'UPDATE users SET last_trade_at = NOW() WHERE uid = ANY($1)',
+      [[from.uid, to.uid]]
+    );
+    await client.query(
+      `UPDATE trade_offers SET status = 'accepted', resolved_at = NOW() WHERE id = $1`,
+      [offer.id]
+    );
+
+    const moves = [
+      ...offer.offer_skins.map(skinId => ({ skinId, giver: from, receiver: to })),
+      ...offer.request_skins.map(skinId => ({ skinId, giver: to, receiver: from })),
+    ];
+    for (const { skinId, giver, receiver } of moves) {
+      const { skin } = await getTradeStatus(skinId, client);
+      await logTrade(client, {
+        buyerId:        receiver.uid,
+        buyerName:      receiver.username,
+        sellerId:       giver.uid,
+        sellerName:     giver.username,
+        skinId,
+        skinName:       skin.name,
+        rarity:         skin.rarity,
+        price:          0,
+        tax:            0,
+        sellerReceived: 0,
+        kind:           'direct',
+        offerId:        offer.id,
+      });
+    }
+
+    await evaluateAchievements(client, from.uid);
+    await evaluateAchievements(client, to.uid);
+    return { ...offer, status: 'accepted' };
+  });
+}
+
+// ── Recipient declines; the sender's escrow is returned
+async function declineOffer(uid, offerId) {
+  return withTransaction(async (client) => {
+    const offer = await _lockPendingOffer(client, offerId);
+    if (offer.to_uid !== uid) throw new Error('This offer is not addressed to you.');
+    await _closeOffer(client, offer, 'declined');
+  });
+}
+
+// ── Sender withdraws their offer
+async function cancelOffer(uid, offerId) {
+  return withTransaction(async (client) => {
+    const offer = await _lockPendingOffer(client, offerId);
+    if (offer.from_uid !== uid) throw new Error('Not your offer.');
+    await _closeOffer(client, offer, 'cancelled');
+  });
+}
+
+// ── Recipient replies with new terms: the original closes as 'countered' and a
+// new offer goes the other way, escrowing the counter-offerer's side instead.
+async function counterOffer(uid, offerId, terms) {
+  return withTransaction(async (client) => {
+    const offer = await _lockPendingOffer(client, offerId);
+    if (offer.to_uid !== uid) throw new Error('This offer is not addressed to you.');
+    if (new Date(offer.expires_at) < new Date()) throw new Error('This offer has expired.');
+
+    // Lock both players before _closeOffer writes to either, then re-read them:
+    // the returned escrow changes the original sender's row
+    await _lockUsers(client, [offer.from_uid, offer.to_uid]);
+    await _closeOffer(client, offer, 'countered');
+    const users = await _lockUsers(client, [offer.from_uid, offer.to_uid]);
+    const from = users.get(uid);
+    const to   = users.get(offer.from_uid);
+    if (!from || !to) throw new Error('One of the players no longer exists.');
+    return _openOffer(client, { from, to, ...terms, counterOf: offer.id });
+  });
+}
+
+// ── Return escrow for every pending offer past its expiry. Returns how many expired.
+async function expireOffers() {
+  const { rows } = await query(
+    `SELECT id FROM trade_offers WHERE status = 'pending' AND expires_at <= NOW()`
+  );
+  let expired = 0;
+  for (const { id } of rows) {
+    try {
+      await withTransaction(async (client) => {
+        const offer = await _lockPendingOffer(client, id);
+        await _closeOffer(client, offer, 'expired');
+      });
+      expired++;
+    } catch (e) {
+      console.error('[Trades] expire failed for', id, e.message);
+    }
+  }
+  return expired;
+}
+
+// ── Offers a player sent or received, newest first
+async function getOffersForUser(uid, { status = null, limit = 50 } = {}) {
+  const { rows } = await query(`
+    SELECT o.*, f.username AS from_name, t.username AS to_name
+    FROM trade_offers o
+    JOIN users f ON f.uid = o.from_uid
+    JOIN users t ON t.uid = o.to_uid
+    WHERE (o.from_uid = $1 OR o.to_uid = $1)
+      AND ($2::TEXT IS NULL OR o.status = $2)
+    ORDER BY o.created_at DESC
+    LIMIT $3
+  `, [uid, status, limit]);
+  return rows;
+}
+
+async function getOfferById(id) {
+  const { rows } = await query(`
+    SELECT o.*, f.username AS from_name, t.username AS to_name
+    FROM trade_offers o
+    JOIN users f ON f.uid = o.from_uid
+    JOIN users t ON t.uid = o.to_uid
+    WHERE o.id = $1
+  `, [id]);
+  return rows[0] || null;
+}
+
+// ── Admin: recent offers across all players
+async function getRecentOffers(limit = 100) {
+  const { rows } = await query(
+    'SELECT * FROM trade_offers ORDER BY created_at DESC LIMIT $1',
+    [limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  OFFER_TTL_HOURS, MAX_SKINS_PER_SIDE, MAX_COINS_PER_SIDE,
+  createOffer, acceptOffer, declineOffer, cancelOffer, counterOffer, expireOffers,
+  getOffersForUser, getOfferById, getRecentOffers,
+};
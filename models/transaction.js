@@ -1,22 +1,95 @@
 // models/transaction.js
 const { query } = require('../config/db');
+const { applyLedgerEntry } = require('./ledger');
+const { deleteListing } = require('./listing');
+const { recordChallengeEvents } = require('./challenge');
+const { evaluateAchievements } = require('./achievement');
+const { recordSalePrice } = require('./price');
 
-// ── Insert a trade log row (called inside the buy transaction)
+const TAX_RATE = 0.10;
+
+// ── Insert a trade log row (called inside the buy / trade transaction)
+// Direct trades log one row per skin moved (kind 'direct', price 0); their coins
+// are in the ledger under the offer id.
 async function logTrade(client, {
   buyerId, buyerName, sellerId, sellerName,
   skinId, skinName, rarity, price, tax, sellerReceived,
+  kind = 'marketplace', offerId = null,
 }) {
   const { rows } = await client.query(`
     INSERT INTO trade_logs
       (buyer_id, buyer_name, seller_id, seller_name, skin_id, skin_name,
-       rarity, price, tax, seller_received)
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+       rarity, price, tax, seller_received, kind, offer_id)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
     RETURNING *
   `, [buyerId, buyerName, sellerId, sellerName, skinId, skinName,
-      rarity, price, tax, sellerReceived]);
+      rarity, price, tax, sellerReceived, kind, offerId]);
+  if (kind === 'marketplace') {
+    await recordSalePrice(client, { skinId, rarity, price, at: rows[0].timestamp });
+  }
   return rows[0];
 }
 
+// ── Pay for a listing and hand over the skin (called inside the buy / settlement transaction)
+// Shared by fixed-price buys, auction buyouts and auction settlement. The caller
+// has locked the listing and the buyer row and checked eligibility.
+async function completeSale(client, { listing, buyer, price }) {
+  const tax            = Math.floor(price * TAX_RATE);
+  const sellerReceives = price - tax;
+
+  const buyerBalance = await applyLedgerEntry(client, {
+    uid: buyer.uid, coins: -price, reason: 'marketplace_buy', refId: listing.id,
+  });
+  await client.query(`
+    UPDATE users SET
+      owned_skins = array_append(owned_skins, $2),
+      skin_received_times = skin_received_times || jsonb_build_object($2, NOW()::TEXT),
+      last_trade_at = NOW(),
+      updated_at = NOW()
+    WHERE uid = $1
+  `, [buyer.uid, listing.skin_id]);
+
+  await applyLedgerEntry(client, {
+    uid: listing.seller_id, coins: price, reason: 'marketplace_sale', refId: listing.id,
+  });
+  await applyLedgerEntry(client, {
+    uid: listing.seller_id, coins: -tax, reason: 'marketplace_tax', refId: listing.id,
+  });
+  await client.query(
+    'UPDATE users SET last_trade_at = NOW() WHERE uid = $1',
+    [listing.seller_id]
+  );
+
+  await deleteListing(client, listing.id);
+
+  await logTrade(client, {
+    buyerId:        buyer.uid,
+    buyerName:      buyer.username,
+    sellerId:       listing.seller_id,
+    sellerName:     listing.seller_name,
+    skinId:         listing.skin_id,
+    skinName:       listing.skin_name,
+    rarity:         listing.rarity,
+    price,
+    tax,
+    sellerReceived: sellerReceives,
+  });
+
+  await recordChallengeEvents(client, buyer.uid,         [{ type: 'marketplace_purchase', amount: 1 }]);
+  await recordChallengeEvents(client, listing.seller_id, [{ type: 'marketplace_sale', amount: 1 }]);
+  await evaluateAchievements(client, buyer.uid);
+  await evaluateAchievements(client, listing.seller_id);
+
+  return {
+    skinId:          listing.skin_id,
+    skinName:        listing.skin_name,
+    price,
+    tax,
+    sellerReceives,
+    newBuyerBalance: buyerBalance.total_coins,
+  };
+}
+
 // ── Recent trade logs (admin panel)
 async function getRecentTrades(limit = 50) {
   const { rows } = await query(
@@ -42,4 +115,4 @@ async function getEconomyStats() {
   };
 }
 
-module.exports = { logTrade, getRecentTrades, getEconomyStats };
+module.exports = { TAX_RATE, logTrade, completeSale, getRecentTrades, getEconomyStats };
@@ -1,5 +1,18 @@
 // models/user.js
-const { query } = require('../config/db');
+const { query, withTransaction } = require('../config/db');
+const { applyLedgerEntry, sumRecentDeltas } = require('./ledger');
+const { addSeasonXp } = require('./battlepass');
+const { evaluateAchievements, getUserAchievements } = require('./achievement');
+
+// Plausibility caps for client-reported rounds. Anything above the per-round
+// caps is rejected; the hourly caps trim what gets credited.
+const ROUND_CAPS = {
+  score:         9_999_999,
+  coinsPerRound: 2_500,
+  xpPerRound:    5_000,
+  coinsPerHour:  15_000,
+  xpPerHour:     30_000,
+};
 
 // ── Upsert on first login (create row if uid doesn't exist yet)
 async function upsertUser(uid, { username, email }) {
@@ -28,31 +41,53 @@ async function getPublicProfile(uid) {
            owned_skins, active_skin, created_at
     FROM users WHERE uid = $1
   `, [uid]);
-  return rows[0] || null;
+  if (!rows[0]) return null;
+  const { achievements, completion } = await getUserAchievements(uid);
+  return { ...rows[0], achievements, achievement_completion: completion };
 }
 
-// ── Update score / coins / XP — called from the game after each round
-async function updateProgress(uid, { highScore, totalCoins, currentXp }) {
-  const { rows } = await query(`
-    UPDATE users SET
-      high_score  = GREATEST(high_score, $2),
-      total_coins = $3,
-      current_xp  = $4,
-      updated_at  = NOW()
-    WHERE uid = $1
-    RETURNING high_score, total_coins, current_xp
-  `, [uid, highScore, totalCoins, currentXp]);
-  return rows[0] || null;
+// ── Record a finished round — called from the game after each round
+// Coins/XP arrive as deltas and are credited through the ledger, never as totals.
+async function updateProgress(uid, { score, coinsEarned, xpEarned }) {
+  return withTransaction(async (client) => {
+    const { rows: userRows } = await client.query(
+      'SELECT uid FROM users WHERE uid = $1 FOR UPDATE',
+      [uid]
+    );
+    if (!userRows[0]) return null;
+
+    const recent = await sumRecentDeltas(client, uid, 'round_reward', 60);
+    const coins  = Math.max(0, Math.min(coinsEarned, ROUND_CAPS.coinsPerHour - recent.coins));
+    const xp     = Math.max(0, Math.min(xpEarned,    ROUND_CAPS.xpPerHour    - recent.xp));
+
+    const unlocked = [];
+    if (coins > 0 || xp > 0) {
+      const balance = await applyLedgerEntry(client, { uid, coins, xp, reason: 'round_reward' });
+      await addSeasonXp(client, uid, xp);
+      unlocked.push(...balance.unlocked);
+    }
+
+    const { rows } = await client.query(`
+      UPDATE users SET
+        high_score = GREATEST(high_score, $2),
+        updated_at = NOW()
+      WHERE uid = $1
+      RETURNING high_score, total_coins, current_xp
+    `, [uid, score]);
+    unlocked.push(...await evaluateAchievements(client, uid));
+    return { ...rows[0], credited: { coins, xp }, achievementsUnlocked: unlocked };
+  });
 }
 
-// ── Equip skin (validates ownership server-side)
+// ── Equip skin (validates ownership and the catalog server-side)
 async function equipSkin(uid, skinId) {
   const { rows } = await query(`
     UPDATE users SET active_skin = $2, updated_at = NOW()
     WHERE uid = $1 AND $2 = ANY(owned_skins)
+      AND EXISTS (SELECT 1 FROM skins WHERE id = $2)
     RETURNING active_skin
   `, [uid, skinId]);
-  return rows[0] || null; // null means skin not owned
+  return rows[0] || null; // null means skin not owned (or not in the catalog)
 }
 
 // ── Check whitelist
@@ -64,4 +99,7 @@ async function isWhitelisted(uid) {
   return rows.length > 0;
 }
 
-module.exports = { upsertUser, getUserById, getPublicProfile, updateProgress, equipSkin, isWhitelisted };
+module.exports = {
+  ROUND_CAPS,
+  upsertUser, getUserById, getPublicProfile, updateProgress, equipSkin, isWhitelisted,
+};
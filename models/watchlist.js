@@ -0,0 +1,138 @@
+// models/watchlist.js
+// Players watch a single listing, or a skin id with an optional target price.
+// Alerts go out through notify() (stored + pushed over the socket), always
+// after the transaction that changed the listing has committed.
+const { query } = require('../config/db');
+const { notify } = require('./notification');
+
+const MAX_WATCHES_PER_PLAYER = 50;
+const ENDING_SOON_MINUTES    = 60;
+
+const CLOSED_MESSAGES = {
+  sold:      (l, price) => `A listing you watched sold: ${l.skin_name} for ${price.toLocaleString()} coins.`,
+  cancelled: (l) => `A listing you watched was cancelled: ${l.skin_name}.`,
+  expired:   (l) => `A listing you watched expired: ${l.skin_name}.`,
+};
+
+async function _checkLimit(uid) {
+  const { rows } = await query('SELECT COUNT(*) AS cnt FROM watchlist WHERE uid = $1', [uid]);
+  if (parseInt(rows[0].cnt) >= MAX_WATCHES_PER_PLAYER) {
+    throw new Error(`Maximum ${MAX_WATCHES_PER_PLAYER} watchlist entries.`);
+  }
+}
+
+// ── Watch one listing until it sells, is cancelled or expires
+async function watchListing(uid, listingId) {
+  const { rows: listingRows } = await query(
+    'SELECT seller_id FROM listings WHERE id = $1 AND expires_at > NOW()',
+    [listingId]
+  );
+  if (!listingRows[0])                    throw new Error('Listing no longer exists.');
+  if (listingRows[0].seller_id === uid)   throw new Error('You cannot watch your own listing.');
+  await _checkLimit(uid);
+  const { rows } = await query(`
+    INSERT INTO watchlist (uid, listing_id) VALUES ($1, $2)
+    ON CONFLICT (listing_id, uid) WHERE listing_id IS NOT NULL DO UPDATE SET listing_id = EXCLUDED.listing_id
+    RETURNING *
+  `, [uid, listingId]);
+  return rows[0];
+}
+
+// ── Watch a skin: alert on every new listing at or under maxPrice (any price when null).
+// Watching the same skin again replaces the target price.
+async function watchSkin(uid, skinId, maxPrice = null) {
+  const { rows: existing } = await query(
+    'SELECT id FROM watchlist WHERE uid = $1 AND skin_id = $2',
+    [uid, skinId]
+  );
+  if (!existing[0]) await _checkLimit(uid);
+  const { rows } = await query(`
+    INSERT INTO watchlist (uid, skin_id, max_price) VALUES ($1, $2, $3)
+    ON CONFLICT (skin_id, uid) WHERE skin_id IS NOT NULL DO UPDATE SET max_price = EXCLUDED.max_price
+    RETURNING *
+  `, [uid, skinId, maxPrice]);
+  return rows[0];
+}
+
+async function removeWatch(uid, id) {
+  const { rowCount } = await query('DELETE FROM watchlist WHERE id = $1 AND uid = $2', [id, uid]);
+  if (!rowCount) throw new Error('Watchlist entry not found.');
+}
+
+// ── A player's watchlist; listing entries carry the listing's current state
+async function getWatchlist(uid) {
+  const { rows } = await query(`
+    SELECT w.*, l.skin_id AS listing_skin_id, l.skin_name, l.price, l.type, l.current_bid, l.expires_at
+    FROM watchlist w
+    LEFT JOIN listings l ON l.id = w.listing_id
+    WHERE w.uid = $1
+    ORDER BY w.created_at DESC
+  `, [uid]);
+  return rows.map(r => ({
+    id:        r.id,
+    kind:      r.listing_id ? 'listing' : 'skin',
+    listingId: r.listing_id,
+    skinId:    r.skin_id || r.listing_skin_id,
+    maxPrice:  r.max_price,
+    listing:   r.listing_id
+      ? { skinName: r.skin_name, price: r.price, type: r.type, currentBid: r.current_bid, expiresAt: r.expires_at }
+      : null,
+    createdAt: r.created_at,
+  }));
+}
+
+// ── A listing went up (or was repriced): tell skin watchers whose target it meets
+async function alertNewListing(listing) {
+  try {
+    const { rows } = await query(`
+      SELECT uid FROM watchlist
+      WHERE skin_id = $1 AND uid <> $2 AND (max_price IS NULL OR max_price >= $3)
+    `, [listing.skin_id, listing.seller_id, listing.price]);
+    for (const { uid } of rows) {
+      await notify(uid, 'watch_listed',
+        `${listing.skin_name} listed for ${listing.price.toLocaleString()} coins by ${listing.seller_name}.`,
+        { listingId: listing.id, skinId: listing.skin_id, price: listing.price, type: listing.type });
+    }
+  } catch (err) {
+    console.error('[Watchlist] new listing alert failed:', err.message);
+  }
+}
+
+// ── A listing is gone (sold, cancelled or expired): alert its watchers and drop their entries
+async function alertListingClosed(listing, outcome, price = listing.price) {
+  try {
+    const { rows } = await query(
+      'DELETE FROM watchlist WHERE listing_id = $1 RETURNING uid',
+      [listing.id]
+    );
+    for (const { uid } of rows) {
+      await notify(uid, `watch_${outcome}`, CLOSED_MESSAGES[outcome](listing, price),
+        { listingId: listing.id, skinId: listing.skin_id });
+    }
+  } catch (err) {
+    console.error('[Watchlist] closed alert failed:', err.message);
+  }
+}
+
+// ── Tell watchers once when a watched listing enters its last hour (run by the job)
+async function alertEndingSoon() {
+  const { rows } = await query(`
+    UPDATE watchlist w SET ending_alerted = TRUE
+    FROM listings l
+    WHERE l.id = w.listing_id AND NOT w.ending_alerted
+      AND l.expires_at > NOW() AND l.expires_at <= NOW() + make_interval(mins => $1)
+    RETURNING w.uid, l.id AS listing_id, l.skin_id, l.skin_name, l.expires_at
+  `, [ENDING_SOON_MINUTES]);
+  for (const r of rows) {
+    await notify(r.uid, 'watch_ending',
+      `A listing you watched ends within the hour: ${r.skin_name}.`,
+      { listingId: r.listing_id, skinId: r.skin_id, expiresAt: r.expires_at });
+  }
+  return rows.length;
+}
+
+module.exports = {
+  MAX_WATCHES_PER_PLAYER,
+  watchListing, watchSkin, removeWatch, getWatchlist,
+  alertNewListing, alertListingClosed, alertEndingSoon,
+};
@@ -1,7 +1,11 @@
 // multiplayer/gameServer.js
-// Server-authoritative game logic for 2-player co-op
+// Server-authoritative game logic for 1–4 player co-op
 // Handles rooms, enemies, wave progression, and state sync
 
+const { recordMatch } = require('../models/match');
+const { setActivity } = require('./presence');
+const { dropInvites } = require('./invites');
+
 const TICK_RATE       = 30;          // 20 updates/sec to clients
 const TICK_MS         = 1000 / TICK_RATE;
 const CANVAS_W        = 1400;
@@ -14,6 +18,38 @@ const ENEMY_RADIUS    = 18;
 const PLAYER_RADIUS   = 18;
 const WAVE_BREAK_TIME = 5;           // seconds between waves
 const MAX_ENEMIES     = 60;
+const MIN_ROOM_SIZE   = 1;
+const MAX_ROOM_SIZE   = 4;
+const DEFAULT_ROOM_SIZE = 2;         // also the quick-play size
+const COUNTDOWN_SECONDS = 3;
+const SPAWN_RADIUS    = 300;         // players start evenly spaced on a circle this far from the centre
+const RECONNECT_GRACE_MS = 30 * 1000;   // a dropped player's slot is held this long mid-game
+const MAX_SPECTATORS  = 10;
+
+// Events spectators see; everything else _broadcastToRoom sends is players-only
+const SPECTATOR_EVENTS = new Set([
+  'countdown', 'countdown_cancelled', 'game_start', 'state', 'wave_start', 'wave_clear',
+  'player_died', 'player_revived', 'game_over', 'rematch_starting',
+  'boss_phase', 'boss_defeated',
+]);
+
+// ─── Match rewards ────────────────────────────────────────────
+// Credited server-side when a match ends (see _endGame).
+const COINS_PER_SCORE     = 0.5;   // same rate room.coins accumulates at
+const XP_PER_SCORE        = 1;
+const XP_PER_WAVE         = 25;    // bonus for each wave cleared
+const MIN_CREDIT_SECONDS  = 30;    // shorter matches are recorded but pay nothing
+const PARTIAL_CREDIT      = 0.5;   // players who left early / abandoned matches
+
+// ─── Player-count scaling ─────────────────────────────────────
+// Multipliers on the wave kill target and enemy HP, by the number of players
+// who started the match. Two players is the baseline.
+const PLAYER_COUNT_SCALE = {
+  1: { kills: 0.6, hp: 0.8 },
+  2: { kills: 1,   hp: 1 },
+  3: { kills: 1.4, hp: 1.25 },
+  4: { kills: 1.8, hp: 1.5 },
+};
 
 // ─── Enemy stats by type ──────────────────────────────────────
 const ENEMY_STATS = {
@@ -24,6 +60,51 @@ const ENEMY_STATS = {
   miniboss: { hp: 200, speed: 60,  damage: 25, score: 75,  radius: 30, color: '#c0392b' },
 };
 
+// ─── Bosses ───────────────────────────────────────────────────
+// Every BOSS_WAVE_EVERY waves is a boss wave: no regular spawns, one boss from
+// BOSSES (in order, looping). Each phase starts when the boss's HP fraction
+// drops to `at` and sets its speed and attacks. Attack `type` is a key of
+// BOSS_ATTACKS; `every` is seconds between uses. Clearing the wave pays
+// `bonusCoins` to every player and drops `powerupDrops` powerups.
+const BOSS_WAVE_EVERY   = 5;
+const BOSS_HP_PER_CYCLE = 0.5;      // +50% HP each time the rotation comes round again
+const NUKE_BOSS_DAMAGE  = 0.15;     // share of a boss's max HP a nuke takes off
+const BOSSES = {
+  warden: {
+    name: 'The Warden', hp: 1500, speed: 50, damage: 30, score: 500, radius: 48, color: '#16a085',
+    bonusCoins: 150, powerupDrops: 3,
+    phases: [
+      { at: 1,   speedMult: 1,   attacks: [{ type: 'burst', every: 3.5, count: 12, damage: 12 }] },
+      { at: 0.6, speedMult: 1.2, attacks: [{ type: 'burst', every: 2.5, count: 16, damage: 12 },
+                                           { type: 'summon', every: 8, enemy: 'fast', count: 3 }] },
+      { at: 0.3, speedMult: 1.4, attacks: [{ type: 'burst', every: 2, count: 20, damage: 14 },
+                                           { type: 'charge', every: 5, windup: 0.8, duration: 0.8, speedMult: 5 }] },
+    ],
+  },
+  broodmother: {
+    name: 'Broodmother', hp: 1800, speed: 40, damage: 25, score: 600, radius: 52, color: '#d35400',
+    bonusCoins: 200, powerupDrops: 4,
+    phases: [
+      { at: 1,    speedMult: 1,   attacks: [{ type: 'summon', every: 6, enemy: 'basic', count: 3 }] },
+      { at: 0.5,  speedMult: 1.2, attacks: [{ type: 'summon', every: 5, enemy: 'shooter', count: 2 },
+                                            { type: 'burst', every: 3, count: 10, damage: 10 }] },
+      { at: 0.25, speedMult: 1.5, attacks: [{ type: 'summon', every: 6, enemy: 'fast', count: 4 },
+                                            { type: 'charge', every: 4, windup: 0.6, duration: 0.9, speedMult: 4.5 }] },
+    ],
+  },
+};
+
+// ─── Enemy behaviours ─────────────────────────────────────────
+// basic and miniboss chase the nearest player; the others below.
+const SHOOTER_RANGE       = { min: 240, max: 360 };   // backs off / closes in to stay in this band
+const SHOOTER_FIRE_EVERY  = 1.8;    // seconds
+const ENEMY_BULLET_SPEED  = 320;
+const ENEMY_BULLET_RADIUS = 6;
+const ENEMY_BULLET_LIFE   = 3;
+const ZIGZAG_FREQ         = 6;      // radians/sec of the fast enemy's weave
+const ZIGZAG_WIDTH        = 0.9;    // sideways share of its heading at the peak
+const TANK_CHARGE         = { range: 320, windup: 0.6, duration: 0.7, speedMult: 3.5, cooldown: 4 };
+
 // ─── Powerup config ───────────────────────────────────────────
 const POWERUP_TYPES = {
   health:    { color: '#6bff7b', symbol: '+',  r: 11 },
@@ -49,37 +130,61 @@ function generateRoomCode() {
   return rooms.has(code) ? generateRoomCode() : code;
 }
 
-function createRoom(hostSocket, hostUser) {
+function createRoom(hostSocket, hostUser, { isPublic = false, allowSpectators = true, maxPlayers = DEFAULT_ROOM_SIZE } = {}) {
   const code = generateRoomCode();
   const room = {
     code,
+    isPublic,             // listed by list_rooms; private rooms are joined by code only
+    allowSpectators,      // host can switch this off with set_spectators
+    maxPlayers,           // MIN_ROOM_SIZE–MAX_ROOM_SIZE, chosen by the host
+    createdAt:    Date.now(),
     state:   'waiting',   // waiting | countdown | playing | gameover
+    countdownTimer: null,
+    startingPlayers: 0,   // players at game start; picks the PLAYER_COUNT_SCALE row
     players: {},
-    enemies: {},
-    bullets: {},
+    spectators: new Map(),   // socketId → { socket, uid, username }; read-only watchers
+    kicked:     new Set(),   // uids the host removed; they can't join again
+    rematchVotes: new Set(), // socketIds voting for a rematch after game_over
+    cleanupTimer: null,
+    intervalId:   null,
+    lastTick:     Date.now(),
+    ..._freshMatch(),
+  };
+
+  _addPlayer(room, hostSocket, hostUser, true);
+  rooms.set(code, room);
+  console.log(`[MP] Room created: ${code} by ${hostUser.username}`);
+  return room;
+}
+
+// Per-match room state; a rematch starts again from this
+function _freshMatch() {
+  return {
+    enemies:  {},
+    bullets:  {},
+    enemyBullets: {},
     powerups: {},
     wave:         1,
+    bossKey:      null,   // BOSSES key on a boss wave
+    bossId:       null,   // the boss enemy while it is alive
     waveClearTimer: 0,
     spawnTimer:   0,
     score:        0,
     coins:        0,
     tick:         0,
     enemiesKilledThisWave: 0,
-    intervalId:   null,
-    lastTick:     Date.now(),
+    startedAt:    null,
+    departed:     {},   // uid → result snapshot of players who left mid-game
   };
-
-  _addPlayer(room, hostSocket, hostUser, true);
-  rooms.set(code, room);
-  console.log(`[MP] Room created: ${code} by ${hostUser.username}`);
-  return room;
 }
 
 function joinRoom(code, socket, user) {
   const room = rooms.get(code.toUpperCase());
   if (!room)                           return { error: 'Room not found' };
+  if (room.kicked.has(user.uid))       return { error: 'You were removed from this room' };
   if (room.state !== 'waiting')        return { error: 'Game already started' };
-  if (Object.keys(room.players).length >= 2) return { error: 'Room is full' };
+  if (Object.keys(room.players).length >= room.maxPlayers) return { error: 'Room is full' };
+  if (Object.values(room.players).some(p => p.uid === user.uid)) return { error: 'You are already in this room' };
 
   _addPlayer(room, socket, user, false);
   console.log(`[MP] ${user.username} joined room ${code}`);
@@ -88,39 +193,341 @@ function joinRoom(code, socket, user) {
 
 function leaveRoom(socketId) {
   for (const [code, room] of rooms.entries()) {
-    if (room.players[socketId]) {
+    const player = room.players[socketId];
+    if (player) {
+      if (room.state === 'playing') room.departed[player.uid] = _playerResult(room, player, 'disconnected');
       delete room.players[socketId];
+      setActivity(player.uid, null);
+      dropInvites(code, player.uid);
       console.log(`[MP] Player left room ${code}`);
 
-      if (Object.keys(room.players).length === 0) {
+      const remaining = Object.keys(room.players).length;
+      if (remaining === 0) {
+        if (room.state === 'playing') _endGame(room, 'abandoned');
         _destroyRoom(code);
       } else {
-        // Notify remaining player
-        _broadcastToRoom(room, 'partner_left', {});
-        if (room.state === 'playing') _endGame(room, 'partner_disconnected');
+        // Notify remaining players; a game carries on while it is still co-op
+        _broadcastToRoom(room, 'partner_left', { username: player.username });
+        if (player.isHost) _transferHost(room);
+        if (room.state === 'playing' && remaining < 2) _endGame(room, 'partner_disconnected');
+        if (room.state === 'countdown') _cancelCountdown(room);
+        if (room.state === 'waiting') _broadcastToRoom(room, 'room_updated', roomSnapshot(room));
+        if (room.state === 'gameover') {
+          room.rematchVotes.delete(socketId);
+          _checkRematch(room);
+        }
       }
       return;
     }
   }
 }
 
+// ─── Lobby: room size and ready check ─────────────────────────
+// The countdown starts once the room is full and every player is ready, and
+// stops again if anyone un-readies or leaves before it runs out.
+function setReady(socketId, ready) {
+  const room = findRoomBySocket(socketId);
+  if (!room)                                              return { error: 'Not in a room' };
+  if (room.state !== 'waiting' && room.state !== 'countdown') return { error: 'Game already started' };
+
+  room.players[socketId].ready = ready;
+  if (!ready) _cancelCountdown(room);
+  _broadcastToRoom(room, 'room_updated', roomSnapshot(room));
+  _checkReady(room);
+  return { room };
+}
+
+// Host only, before the countdown. Can't go below the players already in.
+function setRoomSize(socketId, size) {
+  const room = findRoomBySocket(socketId);
+  if (!room)                                  return { error: 'Not in a room' };
+  if (!room.players[socketId].isHost)         return { error: 'Only the host can change this' };
+  if (room.state !== 'waiting')               return { error: 'The room size can only change in the lobby' };
+  if (size < Object.keys(room.players).length) return { error: 'More players than that are already in the room' };
+
+  room.maxPlayers = size;
+  _broadcastToRoom(room, 'room_updated', roomSnapshot(room));
+  _checkReady(room);
+  return { room };
+}
+
+// Host only: start without waiting for the room to fill, once everyone else is ready
+function hostStart(socketId) {
+  const room = findRoomBySocket(socketId);
+  if (!room)                          return { error: 'Not in a room' };
+  const host = room.players[socketId];
+  if (!host.isHost)                   return { error: 'Only the host can start the game' };
+  if (room.state !== 'waiting')       return { error: room.state === 'countdown' ? 'Already starting' : 'Game already started' };
+  if (Object.values(room.players).some(p => p !== host && !p.ready)) return { error: 'Not everyone is ready' };
+
+  host.ready = true;
+  _broadcastToRoom(room, 'room_updated', roomSnapshot(room));
+  _startCountdown(room);
+  return { room };
+}
+
+// Host only, in the lobby. The kicked player can't join this room again.
+// Returns { room, player } (the removed player, so the caller can detach its socket) or { error }.
+function kickPlayer(socketId, targetSocketId) {
+  const room = findRoomBySocket(socketId);
+  if (!room)                               return { error: 'Not in a room' };
+  if (!room.players[socketId].isHost)      return { error: 'Only the host can kick players' };
+  if (room.state !== 'waiting' && room.state !== 'countdown') return { error: 'Players can only be kicked in the lobby' };
+  const player = room.players[targetSocketId];
+  if (!player)                             return { error: 'That player is not in your room' };
+  if (targetSocketId === socketId)         return { error: 'You cannot kick yourself' };
+
+  room.kicked.add(player.uid);
+  leaveRoom(targetSocketId);
+  player.socket.emit('kicked', { code: room.code });
+  console.log(`[MP] ${player.username} kicked from room ${room.code}`);
+  return { room, player };
+}
+
+// The longest-standing player takes over when the host leaves
+function _transferHost(room) {
+  const next = Object.values(room.players)[0];
+  if (!next) return;
+  next.isHost = true;
+  _broadcastToRoom(room, 'host_changed', { socketId: next.socketId, username: next.username });
+}
+
+// ─── Rematch ──────────────────────────────────────────────────
+// After game_over every player still in the room votes; once all have, the
+// room resets to wave 1 and counts down again. Without a full vote the room
+// is destroyed by the usual 30-second cleanup.
+function voteRematch(socketId, vote) {
+  const room = findRoomBySocket(socketId);
+  if (!room)                    return { error: 'Not in a room' };
+  if (room.state !== 'gameover') return { error: 'The game is not over yet' };
+
+  if (vote) room.rematchVotes.add(socketId);
+  else      room.rematchVotes.delete(socketId);
+  _checkRematch(room);
+  return { room };
+}
+
+function _checkRematch(room) {
+  // Held players can't vote, and can't rejoin a finished game anyway
+  const players = Object.values(room.players).filter(p => !p.disconnected);
+  _broadcastToRoom(room, 'rematch_votes', {
+    votes:  players.filter(p => room.rematchVotes.has(p.socketId)).map(p => p.username),
+    needed: players.length,
+  });
+  if (players.length > 0 && players.every(p => room.rematchVotes.has(p.socketId))) _resetForRematch(room);
+}
+
+function _resetForRematch(room) {
+  clearTimeout(room.cleanupTimer);
+  room.cleanupTimer = null;
+  room.rematchVotes.clear();
+  Object.assign(room, _freshMatch(), { state: 'waiting' });
+
+  // Held players don't carry over; the usual host hand-off if one of them was host
+  const held = Object.values(room.players).filter(p => p.disconnected);
+  for (const p of held) {
+    clearTimeout(p.reconnectTimer);
+    delete room.players[p.socketId];
+  }
+  if (held.some(p => p.isHost)) _transferHost(room);
+
+  const players = Object.values(room.players);
+  players.forEach((p, i) => {
+    Object.assign(p, _freshPlayerMatch(_spawnPoint(i, players.length)), { ready: true });
+    setActivity(p.uid, 'in_lobby', room.code);
+  });
+  console.log(`[MP] Rematch in room ${room.code}`);
+  _broadcastToRoom(room, 'rematch_starting', {});
+  _broadcastToRoom(room, 'room_updated', roomSnapshot(room));
+  _startCountdown(room);
+}
+
+function _checkReady(room) {
+  const players = Object.values(room.players);
+  if (room.state === 'waiting' && players.length === room.maxPlayers && players.every(p => p.ready)) {
+    _startCountdown(room);
+  }
+}
+
+function _startCountdown(room) {
+  room.state = 'countdown';
+  dropInvites(room.code);
+  let seconds = COUNTDOWN_SECONDS;
+  _broadcastToRoom(room, 'countdown', { seconds });
+
+  room.countdownTimer = setInterval(() => {
+    seconds--;
+    if (seconds > 0) return _broadcastToRoom(room, 'countdown', { seconds });
+    clearInterval(room.countdownTimer);
+    room.countdownTimer = null;
+    startGame(room);
+  }, 1000);
+}
+
+function _cancelCountdown(room) {
+  if (room.state !== 'countdown') return;
+  clearInterval(room.countdownTimer);
+  room.countdownTimer = null;
+  room.state = 'waiting';
+  _broadcastToRoom(room, 'countdown_cancelled', {});
+}
+
+// Evenly spaced on a circle, starting from the left (2 players: x=400 and x=1000)
+function _spawnPoint(i, n) {
+  if (n === 1) return { x: CANVAS_W / 2, y: CANVAS_H / 2 };
+  const a = Math.PI + (2 * Math.PI * i) / n;
+  return {
+    x: Math.round(CANVAS_W / 2 + Math.cos(a) * SPAWN_RADIUS),
+    y: Math.round(CANVAS_H / 2 + Math.sin(a) * SPAWN_RADIUS),
+  };
+}
+
+// ─── Reconnection ─────────────────────────────────────────────
+// A socket that drops mid-game doesn't leave straight away: its player is held
+// (frozen, untargetable, timers paused) for RECONNECT_GRACE_MS so a new socket
+// from the same uid can rejoin_room into the slot. Outside a running game, or
+// once the grace lapses, this is a normal leaveRoom.
+function disconnectPlayer(socketId) {
+  const room = findRoomBySocket(socketId);
+  if (!room || room.state !== 'playing') return leaveRoom(socketId);
+
+  const player = room.players[socketId];
+  Object.assign(player.input, { up: false, down: false, left: false, right: false, shooting: false, dash: false });
+  player.disconnected   = true;
+  player.reconnectUntil = Date.now() + RECONNECT_GRACE_MS;
+  player.reconnectTimer = setTimeout(() => leaveRoom(player.socketId), RECONNECT_GRACE_MS);
+  console.log(`[MP] ${player.username} dropped from room ${room.code}, holding slot`);
+
+  _broadcastToRoom(room, 'partner_reconnecting', {
+    socketId: player.socketId,
+    username: player.username,
+    seconds:  RECONNECT_GRACE_MS / 1000,
+  });
+}
+
+// The running room holding a slot for `uid`, if any
+function findHeldRoom(uid) {
+  for (const room of rooms.values()) {
+    if (room.state !== 'playing') continue;
+    const player = Object.values(room.players).find(p => p.uid === uid && p.disconnected);
+    if (player) return { room, player };
+  }
+  return null;
+}
+
+// Move a held player onto a new socket. Returns { room, player } or { error }.
+function rejoinRoom(code, socket, user) {
+  const held = findHeldRoom(user.uid);
+  if (!held || (code && held.room.code !== code.toUpperCase())) {
+    return { error: 'No game to rejoin' };
+  }
+  const { room, player } = held;
+  const oldId = player.socketId;
+
+  stopSpectating(socket.id);
+  clearTimeout(player.reconnectTimer);
+  delete room.players[oldId];
+  Object.assign(player, {
+    socketId:       socket.id,
+    socket,
+    disconnected:   false,
+    reconnectUntil: null,
+    reconnectTimer: null,
+  });
+  room.players[socket.id] = player;
+  for (const b of Object.values(room.bullets)) {
+    if (b.ownerId === oldId) b.ownerId = socket.id;
+  }
+  setActivity(user.uid, 'in_game', room.code);
+  console.log(`[MP] ${user.username} rejoined room ${room.code}`);
+
+  _broadcastToRoom(room, 'partner_reconnected', {
+    socketId:    socket.id,
+    oldSocketId: oldId,
+    username:    player.username,
+  });
+  return { room, player };
+}
+
+// ─── Spectators ───────────────────────────────────────────────
+// Watchers get the SPECTATOR_EVENTS stream and nothing else: they aren't in
+// room.players, so input and the full-room checks never see them.
+function spectateRoom(code, socket, user) {
+  const room = rooms.get(code.toUpperCase());
+  if (!room)                                     return { error: 'Room not found' };
+  if (!room.allowSpectators)                     return { error: 'This room does not allow spectators' };
+  if (room.spectators.has(socket.id))            return { error: 'Already spectating this room' };
+  if (room.spectators.size >= MAX_SPECTATORS)    return { error: 'Too many spectators in this room' };
+
+  stopSpectating(socket.id);
+  room.spectators.set(socket.id, { socket, uid: user.uid, username: user.username });
+  _spectatorsChanged(room);
+  return { room };
+}
+
+// Detach a socket from whatever room it is watching. Returns the room, or null.
+function stopSpectating(socketId, reason = null) {
+  for (const room of rooms.values()) {
+    const spectator = room.spectators.get(socketId);
+    if (!spectator) continue;
+    room.spectators.delete(socketId);
+    if (reason) spectator.socket.emit('spectate_ended', { code: room.code, reason });
+    _spectatorsChanged(room);
+    return room;
+  }
+  return null;
+}
+
+// Host only. Turning spectators off removes the current ones.
+function setAllowSpectators(socketId, allow) {
+  const room = findRoomBySocket(socketId);
+  if (!room)                           return { error: 'Not in a room' };
+  if (!room.players[socketId].isHost)  return { error: 'Only the host can change this' };
+  room.allowSpectators = allow;
+  if (!allow) {
+    for (const { socket } of room.spectators.values()) {
+      socket.emit('spectate_ended', { code: room.code, reason: 'disallowed' });
+    }
+    room.spectators.clear();
+  }
+  _spectatorsChanged(room);
+  return { room };
+}
+
+function _spectatorsChanged(room) {
+  const data = { code: room.code, spectators: room.spectators.size, allowSpectators: room.allowSpectators };
+  _broadcastToRoom(room, 'spectators_updated', data);
+  for (const { socket } of room.spectators.values()) socket.emit('spectators_updated', data);
+}
+
 function _addPlayer(room, socket, user, isHost) {
-  const startX = isHost ? 400 : 1000;
+  stopSpectating(socket.id);
+  const start = _spawnPoint(Object.keys(room.players).length, room.maxPlayers);
   room.players[socket.id] = {
     socketId:  socket.id,
     uid:       user.uid,
     username:  user.username,
     skin:      user.activeSkin || 'agent',
-    x:         startX,
-    y:         CANVAS_H / 2,
+    isHost,
+    ready:     false,
+    socket,
+    ..._freshPlayerMatch(start),
+  };
+  setActivity(user.uid, 'in_lobby', room.code);
+}
+
+// Per-match player state; a rematch starts again from this
+function _freshPlayerMatch(start) {
+  return {
+    x:         start.x,
+    y:         start.y,
     vx:        0,
     vy:        0,
     hp:        PLAYER_MAX_HP,
     maxHp:     PLAYER_MAX_HP,
     angle:     0,
     alive:     true,
-    isHost,
-    input:     { up: false, down: false, left: false, right: false, shooting: false, dash: false, mouseX: startX, mouseY: CANVAS_H / 2 },
+    input:     { up: false, down: false, left: false, right: false, shooting: false, dash: false, mouseX: start.x, mouseY: start.y },
     shootCooldown: 0,
     reviveTimer:   0,
     weaponLevel: 1,
@@ -134,7 +541,12 @@ function _addPlayer(room, socket, user, isHost) {
     isDashing:     false,
     score:         0,
     kills:         0,
-    socket,
+    coins:         0,
+    killsByType:   {},   // enemy type → kills (challenge progress)
+    powerupsByType: {},  // powerup type → pickups
+    disconnected:   false,   // held for reconnection (see disconnectPlayer)
+    reconnectUntil: null,
+    reconnectTimer: null,
   };
 }
 
@@ -142,6 +554,13 @@ function _destroyRoom(code) {
   const room = rooms.get(code);
   if (!room) return;
   if (room.intervalId) clearInterval(room.intervalId);
+  if (room.countdownTimer) clearInterval(room.countdownTimer);
+  clearTimeout(room.cleanupTimer);
+  for (const p of Object.values(room.players)) {
+    clearTimeout(p.reconnectTimer);
+    setActivity(p.uid, null);
+  }
+  for (const { socket } of room.spectators.values()) socket.emit('spectate_ended', { code, reason: 'room_closed' });
   rooms.delete(code);
   console.log(`[MP] Room destroyed: ${code}`);
 }
@@ -150,7 +569,16 @@ function _destroyRoom(code) {
 function startGame(room) {
   room.state = 'playing';
   room.lastTick = Date.now();
+  room.startedAt = new Date();
+  const players = Object.values(room.players);
+  room.startingPlayers = players.length;
+  players.forEach((p, i) => {
+    const start = _spawnPoint(i, players.length);
+    Object.assign(p, start);
+    Object.assign(p.input, { mouseX: start.x, mouseY: start.y });
+  });
   room.intervalId = setInterval(() => _tick(room), TICK_MS);
+  for (const p of Object.values(room.players)) setActivity(p.uid, 'in_game', room.code);
   _broadcastToRoom(room, 'game_start', { wave: room.wave });
   console.log(`[MP] Game started in room ${room.code}`);
 }
@@ -178,6 +606,8 @@ function _tick(room) {
 // ─── Player update ────────────────────────────────────────────
 function _updatePlayers(room, dt) {
   for (const p of Object.values(room.players)) {
+    if (p.disconnected) continue;   // held for reconnection: frozen in place
+
     if (!p.alive) {
       // Revive countdown
       if (p.reviveTimer > 0) {
@@ -280,41 +710,170 @@ function _spawnBullets(room, player) {
 
 // ─── Bullet update ────────────────────────────────────────────
 function _updateBullets(room, dt) {
-  for (const [id, b] of Object.entries(room.bullets)) {
-    b.x    += b.vx * dt;
-    b.y    += b.vy * dt;
-    b.life -= dt;
-
-    if (b.life <= 0 || b.x < -50 || b.x > CANVAS_W + 50 || b.y < -50 || b.y > CANVAS_H + 50) {
-      delete room.bullets[id];
+  for (const bullets of [room.bullets, room.enemyBullets]) {
+    for (const [id, b] of Object.entries(bullets)) {
+      b.x    += b.vx * dt;
+      b.y    += b.vy * dt;
+      b.life -= dt;
+
+      if (b.life <= 0 || b.x < -50 || b.x > CANVAS_W + 50 || b.y < -50 || b.y > CANVAS_H + 50) {
+        delete bullets[id];
+      }
     }
   }
 }
 
 // ─── Enemy update ─────────────────────────────────────────────
 function _updateEnemies(room, dt) {
-  const playerList = Object.values(room.players).filter(p => p.alive);
+  const playerList = Object.values(room.players).filter(p => p.alive && !p.disconnected);
 
   for (const [id, e] of Object.entries(room.enemies)) {
     if (!e.alive) { delete room.enemies[id]; continue; }
 
-    // Move toward nearest player
+    // Each type closes in on the nearest player in its own way
     let nearest = null, nearestDist = Infinity;
     for (const p of playerList) {
       const dist = Math.hypot(p.x - e.x, p.y - e.y);
       if (dist < nearestDist) { nearestDist = dist; nearest = p; }
     }
 
-    if (nearest) {
-      const dx = nearest.x - e.x;
-      const dy = nearest.y - e.y;
-      const len = Math.sqrt(dx * dx + dy * dy) || 1;
-      e.x += (dx / len) * e.speed * dt;
-      e.y += (dy / len) * e.speed * dt;
+    if (!nearest) continue;
+    const dx = (nearest.x - e.x) / (nearestDist || 1);
+    const dy = (nearest.y - e.y) / (nearestDist || 1);
+
+    switch (e.type) {
+      case 'shooter': _moveShooter(room, e, nearest, nearestDist, dx, dy, dt); break;
+      case 'fast':    _moveZigzag(e, dx, dy, dt);                           break;
+      case 'tank':    _moveTank(e, nearestDist, dx, dy, dt);                break;
+      case 'boss':    _updateBoss(room, e, nearest, dx, dy, dt);            break;
+      default:
+        e.x += dx * e.speed * dt;
+        e.y += dy * e.speed * dt;
     }
   }
 }
 
+// Hold range from the target, strafing a little, and fire aimed shots
+function _moveShooter(room, e, target, dist, dx, dy, dt) {
+  const approach = dist > SHOOTER_RANGE.max ? 1 : dist < SHOOTER_RANGE.min ? -1 : 0;
+  const strafe   = approach === 0 ? 0.4 * e.strafeDir : 0;
+  e.x += (dx * approach - dy * strafe) * e.speed * dt;
+  e.y += (dy * approach + dx * strafe) * e.speed * dt;
+
+  e.fireCooldown -= dt;
+  if (e.fireCooldown <= 0 && dist <= SHOOTER_RANGE.max + 60) {
+    e.fireCooldown = SHOOTER_FIRE_EVERY;
+    _spawnEnemyBullet(room, e.x, e.y, Math.atan2(target.y - e.y, target.x - e.x), e.damage);
+  }
+}
+
+// Weave side to side on the way in
+function _moveZigzag(e, dx, dy, dt) {
+  e.zigzag += ZIGZAG_FREQ * dt;
+  const side = Math.sin(e.zigzag) * ZIGZAG_WIDTH;
+  const mx = dx - dy * side;
+  const my = dy + dx * side;
+  const len = Math.sqrt(mx * mx + my * my) || 1;
+  e.x += (mx / len) * e.speed * dt;
+  e.y += (my / len) * e.speed * dt;
+}
+
+// Plod in, then stop, wind up and charge in a straight line
+function _moveTank(e, dist, dx, dy, dt) {
+  if (_chargeStep(e, dt)) return;
+  if (e.charge.timer <= 0 && dist <= TANK_CHARGE.range) return _startCharge(e, dx, dy, TANK_CHARGE);
+  e.x += dx * e.speed * dt;
+  e.y += dy * e.speed * dt;
+}
+
+// ─── Boss behaviour ───────────────────────────────────────────
+// Boss special attacks, by the `type` used in BOSSES phases
+const BOSS_ATTACKS = {
+  // Ring of `count` shots, rotated randomly each time
+  burst(room, boss, a) {
+    const offset = Math.random() * Math.PI * 2;
+    for (let i = 0; i < a.count; i++) {
+      _spawnEnemyBullet(room, boss.x, boss.y, offset + (i / a.count) * Math.PI * 2, a.damage, a.speed);
+    }
+  },
+  // `count` adds of type `enemy` around the boss
+  summon(room, boss, a) {
+    for (let i = 0; i < a.count; i++) {
+      if (Object.keys(room.enemies).length >= MAX_ENEMIES) return;
+      const angle = (i / a.count) * Math.PI * 2;
+      _spawnEnemy(room, a.enemy, {
+        x: Math.max(20, Math.min(CANVAS_W - 20, boss.x + Math.cos(angle) * (boss.radius + 30))),
+        y: Math.max(20, Math.min(CANVAS_H - 20, boss.y + Math.sin(angle) * (boss.radius + 30))),
+      });
+    }
+  },
+  // Wind up and rush the target
+  charge(room, boss, a, dx, dy) {
+    if (boss.charge.state === 'idle') _startCharge(boss, dx, dy, a);
+  },
+};
+
+function _updateBoss(room, boss, target, dx, dy, dt) {
+  const def = BOSSES[boss.bossKey];
+
+  // Phase transitions at HP thresholds
+  const next = def.phases[boss.phase + 1];
+  if (next && boss.hp / boss.maxHp <= next.at) {
+    boss.phase++;
+    boss.attackTimers = next.attacks.map(a => a.every);
+    _broadcastToRoom(room, 'boss_phase', { name: def.name, phase: boss.phase + 1, phases: def.phases.length });
+  }
+  const phase = def.phases[boss.phase];
+
+  phase.attacks.forEach((a, i) => {
+    boss.attackTimers[i] -= dt;
+    if (boss.attackTimers[i] > 0) return;
+    boss.attackTimers[i] = a.every;
+    BOSS_ATTACKS[a.type](room, boss, a, dx, dy);
+  });
+
+  if (_chargeStep(boss, dt)) return;
+  boss.x += dx * boss.speed * phase.speedMult * dt;
+  boss.y += dy * boss.speed * phase.speedMult * dt;
+}
+
+// Charges (tanks and bosses): `e.charge` is { state: idle | windup | charging, timer, dir, ... }
+function _startCharge(e, dx, dy, { windup, duration, speedMult, cooldown = 0 }) {
+  Object.assign(e.charge, { state: 'windup', timer: windup, dir: { x: dx, y: dy }, duration, speedMult, cooldown });
+}
+
+// Advance a charge in progress. Returns true while winding up or charging.
+function _chargeStep(e, dt) {
+  const c = e.charge;
+  c.timer -= dt;
+  if (c.state === 'windup') {
+    if (c.timer <= 0) Object.assign(c, { state: 'charging', timer: c.duration });
+    return true;
+  }
+  if (c.state === 'charging') {
+    e.x += c.dir.x * e.speed * c.speedMult * dt;
+    e.y += c.dir.y * e.speed * c.speedMult * dt;
+    e.x = Math.max(e.radius, Math.min(CANVAS_W - e.radius, e.x));
+    e.y = Math.max(e.radius, Math.min(CANVAS_H - e.radius, e.y));
+    if (c.timer <= 0) Object.assign(c, { state: 'idle', timer: c.cooldown });
+    return true;
+  }
+  return false;
+}
+
+function _spawnEnemyBullet(room, x, y, angle, damage, speed = ENEMY_BULLET_SPEED) {
+  const id = uid();
+  room.enemyBullets[id] = {
+    id,
+    x,
+    y,
+    vx:     Math.cos(angle) * speed,
+    vy:     Math.sin(angle) * speed,
+    life:   ENEMY_BULLET_LIFE,
+    damage,
+  };
+}
+
 // ─── Collision detection ──────────────────────────────────────
 function _checkCollisions(room) {
   const playerList = Object.values(room.players);
@@ -331,12 +890,16 @@ function _checkCollisions(room) {
         if (e.hp <= 0) {
           e.alive = false;
           room.score  += e.score;
-          room.coins  += Math.floor(e.score * 0.5);
+          room.coins  += Math.floor(e.score * COINS_PER_SCORE);
           room.enemiesKilledThisWave++;
 
           // Credit the shooter
           const shooter = room.players[b.ownerId];
-          if (shooter) { shooter.score += e.score; shooter.kills++; }
+          if (shooter) {
+            shooter.score += e.score;
+            shooter.coins += Math.floor(e.score * COINS_PER_SCORE);
+            _countKill(shooter, e);
+          }
 
           // Chance to drop powerup
           if (Math.random() < 0.22) _spawnPowerup(room, e.x, e.y);
@@ -346,11 +909,24 @@ function _checkCollisions(room) {
     }
   }
 
+  // Enemy bullets vs players (dashing players are invulnerable)
+  for (const [bid, b] of Object.entries(room.enemyBullets)) {
+    for (const p of playerList) {
+      if (!p.alive || p.disconnected || p.isDashing) continue;
+      if (Math.hypot(p.x - b.x, p.y - b.y) < PLAYER_RADIUS + ENEMY_BULLET_RADIUS) {
+        p.hp -= b.damage * (p.shield ? 0.4 : 1);
+        delete room.enemyBullets[bid];
+        if (p.hp <= 0) _killPlayer(room, p);
+        break;
+      }
+    }
+  }
+
   // Enemies vs players
   for (const e of Object.values(room.enemies)) {
     if (!e.alive) continue;
     for (const p of playerList) {
-      if (!p.alive) continue;
+      if (!p.alive || p.disconnected) continue;
       const dist = Math.hypot(p.x - e.x, p.y - e.y);
       if (dist < PLAYER_RADIUS + e.radius) {
         const dmgMult = p.shield ? 0.4 : 1;
@@ -361,6 +937,11 @@ function _checkCollisions(room) {
   }
 }
 
+function _countKill(player, enemy) {
+  player.kills++;
+  player.killsByType[enemy.type] = (player.killsByType[enemy.type] || 0) + 1;
+}
+
 // ─── Player death / revive ────────────────────────────────────
 function _killPlayer(room, player) {
   player.alive      = false;
@@ -369,8 +950,8 @@ function _killPlayer(room, player) {
 
   _broadcastToRoom(room, 'player_died', { socketId: player.socketId, username: player.username });
 
-  // Check if both players are dead
-  const allDead = Object.values(room.players).every(p => !p.alive);
+  // Check if every player is dead (a held player can't fight on for the room)
+  const allDead = Object.values(room.players).every(p => !p.alive || p.disconnected);
   if (allDead) _endGame(room, 'all_dead');
 }
 
@@ -407,7 +988,7 @@ function _spawnPowerup(room, x, y) {
 }
 
 function _updatePowerups(room, dt) {
-  const playerList = Object.values(room.players).filter(p => p.alive);
+  const playerList = Object.values(room.players).filter(p => p.alive && !p.disconnected);
 
   for (const [id, pu] of Object.entries(room.powerups)) {
     pu.life -= dt;
@@ -456,16 +1037,21 @@ function _applyPowerup(room, player, pu) {
     case 'nuke':
       // Kill all enemies in room
       for (const e of Object.values(room.enemies)) {
-        if (e.alive) {
+        if (e.alive && e.type === 'boss') {
+          e.hp = Math.max(1, e.hp - e.maxHp * NUKE_BOSS_DAMAGE);   // bosses are hurt, not killed
+        } else if (e.alive) {
           e.alive = false;
           room.score += e.score;
+          room.enemiesKilledThisWave++;
           player.score += e.score;
-          player.kills++;
+          _countKill(player, e);
         }
       }
+      room.enemyBullets = {};
       _broadcastToRoom(room, 'nuke', { username: player.username });
       break;
   }
+  player.powerupsByType[pu.type] = (player.powerupsByType[pu.type] || 0) + 1;
   _broadcastToRoom(room, 'powerup_collected', {
     socketId: player.socketId,
     username: player.username,
@@ -483,13 +1069,27 @@ function _updateWave(room, dt) {
       room.wave++;
       room.waveClearTimer = 0;
       room.enemiesKilledThisWave = 0;
-      _broadcastToRoom(room, 'wave_start', { wave: room.wave });
+      const boss = _isBossWave(room.wave) ? _spawnBoss(room) : null;
+      _broadcastToRoom(room, 'wave_start', { wave: room.wave, boss: boss ? boss.name : null });
+    }
+    return;
+  }
+
+  // Boss wave: cleared once the boss and every add are dead
+  if (room.bossKey) {
+    if (room.bossId && !room.enemies[room.bossId]?.alive) {
+      room.bossId = null;
+      _broadcastToRoom(room, 'boss_defeated', { name: BOSSES[room.bossKey].name });
     }
+    if (!room.bossId && aliveEnemies === 0) _clearBossWave(room);
     return;
   }
 
-  // Spawn enemies
-  if (aliveEnemies < MAX_ENEMIES) {
+  // Kills are counted on the room, so those by players who have since left still count
+  const targetMet = room.enemiesKilledThisWave >= _killTarget(room);
+
+  // Spawn enemies until the wave's kill target is met
+  if (!targetMet && aliveEnemies < MAX_ENEMIES) {
     room.spawnTimer -= dt;
     if (room.spawnTimer <= 0) {
       _spawnEnemy(room);
@@ -498,41 +1098,42 @@ function _updateWave(room, dt) {
     }
   }
 
-  // Check wave clear (all enemies dead, none spawning for a moment)
-  if (aliveEnemies === 0 && room.spawnTimer <= 0 && room.tick > 60) {
-    const targetCount = 8 + room.wave * 3;
-    const totalKills  = Object.values(room.players).reduce((s, p) => s + p.kills, 0);
-    if (totalKills >= targetCount) {
-      room.waveClearTimer = WAVE_BREAK_TIME;
-      _broadcastToRoom(room, 'wave_clear', { wave: room.wave, nextWave: room.wave + 1 });
-    }
+  // Check wave clear (target met, spawning stopped and the last enemies dead)
+  if (targetMet && aliveEnemies === 0 && room.tick > 60) {
+    room.waveClearTimer = WAVE_BREAK_TIME;
+    _broadcastToRoom(room, 'wave_clear', { wave: room.wave, nextWave: room.wave + 1 });
   }
 }
 
-function _spawnEnemy(room) {
+// Random type at a random edge, unless given (boss summons pass both)
+function _spawnEnemy(room, type = null, at = null) {
   // Spawn off-screen edges
   const edge = Math.floor(Math.random() * 4);
   let x, y;
-  if (edge === 0) { x = Math.random() * CANVAS_W; y = -30; }
+  if (at)              ({ x, y } = at);
+  else if (edge === 0) { x = Math.random() * CANVAS_W; y = -30; }
   else if (edge === 1) { x = CANVAS_W + 30; y = Math.random() * CANVAS_H; }
   else if (edge === 2) { x = Math.random() * CANVAS_W; y = CANVAS_H + 30; }
   else { x = -30; y = Math.random() * CANVAS_H; }
 
-  const rand = Math.random();
-  let type = 'basic';
-  if (room.wave >= 3 && rand < 0.03)       type = 'miniboss';
-  else if (room.wave >= 3 && rand < 0.20)  type = 'shooter';
-  else if (room.wave >= 2 && rand < 0.40)  type = 'tank';
-  else if (rand < 0.60)                    type = 'fast';
+  if (!type) {
+    const rand = Math.random();
+    type = 'basic';
+    if (room.wave >= 3 && rand < 0.03)       type = 'miniboss';
+    else if (room.wave >= 3 && rand < 0.20)  type = 'shooter';
+    else if (room.wave >= 2 && rand < 0.40)  type = 'tank';
+    else if (rand < 0.60)                    type = 'fast';
+  }
 
   const stats = ENEMY_STATS[type];
   const id    = uid();
+  const hp    = Math.round((stats.hp + room.wave * 5) * _scale(room).hp);
   room.enemies[id] = {
     id,
     type,
     x, y,
-    hp:     stats.hp + room.wave * 5,
-    maxHp:  stats.hp + room.wave * 5,
+    hp,
+    maxHp:  hp,
     speed:  stats.speed,
     damage: stats.damage,
     score:  stats.score,
@@ -540,6 +1141,80 @@ function _spawnEnemy(room) {
     color:  stats.color,
     alive:  true,
   };
+  // Per-type behaviour state (see _updateEnemies)
+  const e = room.enemies[id];
+  if (type === 'shooter') Object.assign(e, { fireCooldown: 1 + Math.random(), strafeDir: Math.random() < 0.5 ? -1 : 1 });
+  if (type === 'fast')    e.zigzag = Math.random() * Math.PI * 2;
+  if (type === 'tank')    e.charge = { state: 'idle', timer: TANK_CHARGE.cooldown / 2, dir: { x: 0, y: 0 } };
+}
+
+// ─── Boss waves ───────────────────────────────────────────────
+function _isBossWave(wave) {
+  return wave % BOSS_WAVE_EVERY === 0;
+}
+
+// The boss enters from the top centre. Returns its BOSSES definition.
+function _spawnBoss(room) {
+  const keys  = Object.keys(BOSSES);
+  const n     = Math.floor(room.wave / BOSS_WAVE_EVERY) - 1;   // 0 on the first boss wave
+  const key   = keys[n % keys.length];
+  const def   = BOSSES[key];
+  const hp    = Math.round(def.hp * (1 + Math.floor(n / keys.length) * BOSS_HP_PER_CYCLE) * _scale(room).hp);
+  const id    = uid();
+
+  room.enemies[id] = {
+    id,
+    type:   'boss',
+    bossKey: key,
+    name:   def.name,
+    x:      CANVAS_W / 2,
+    y:      -def.radius,
+    hp,
+    maxHp:  hp,
+    speed:  def.speed,
+    damage: def.damage,
+    score:  def.score,
+    radius: def.radius,
+    color:  def.color,
+    alive:  true,
+    phase:  0,
+    attackTimers: def.phases[0].attacks.map(a => a.every),
+    charge: { state: 'idle', timer: 0, dir: { x: 0, y: 0 } },
+  };
+  room.bossKey = key;
+  room.bossId  = id;
+  console.log(`[MP] Boss ${def.name} spawned in room ${room.code} (wave ${room.wave})`);
+  return def;
+}
+
+// Guaranteed drops around the centre and bonus coins for every player
+function _clearBossWave(room) {
+  const def = BOSSES[room.bossKey];
+  room.bossKey = null;
+
+  room.coins += def.bonusCoins;
+  for (const p of Object.values(room.players)) p.coins += def.bonusCoins;
+  for (let i = 0; i < def.powerupDrops; i++) {
+    const angle = (i / def.powerupDrops) * Math.PI * 2;
+    _spawnPowerup(room, CANVAS_W / 2 + Math.cos(angle) * 120, CANVAS_H / 2 + Math.sin(angle) * 120);
+  }
+
+  room.waveClearTimer = WAVE_BREAK_TIME;
+  _broadcastToRoom(room, 'wave_clear', {
+    wave:       room.wave,
+    nextWave:   room.wave + 1,
+    boss:       def.name,
+    bonusCoins: def.bonusCoins,
+  });
+}
+
+function _scale(room) {
+  return PLAYER_COUNT_SCALE[room.startingPlayers] || PLAYER_COUNT_SCALE[DEFAULT_ROOM_SIZE];
+}
+
+// Kills needed to clear the current wave
+function _killTarget(room) {
+  return Math.round((8 + room.wave * 3) * _scale(room).kills);
 }
 
 // ─── End game ─────────────────────────────────────────────────
@@ -547,25 +1222,80 @@ function _endGame(room, reason) {
   if (room.state === 'gameover') return;
   room.state = 'gameover';
   if (room.intervalId) { clearInterval(room.intervalId); room.intervalId = null; }
+  for (const p of Object.values(room.players)) setActivity(p.uid, null);
 
-  const results = Object.values(room.players).map(p => ({
-    uid:      p.uid,
-    username: p.username,
-    score:    p.score,
-    kills:    p.kills,
-    survived: p.alive,
-  }));
+  const endedAt = new Date();
+  const results = [
+    ...Object.values(room.players).map(p => _playerResult(room, p,
+      p.disconnected ? 'disconnected' : reason === 'abandoned' ? 'abandoned' : 'finished')),
+    ...Object.values(room.departed),
+  ];
+  _applyRewards(room, results, endedAt);
 
   _broadcastToRoom(room, 'game_over', {
     reason,
     wave:    room.wave,
     score:   room.score,
     coins:   room.coins,
-    results,
+    results: results.map(({ events, ...r }) => r),
   });
 
-  // Clean up after 30s
-  setTimeout(() => _destroyRoom(room.code), 30000);
+  if (room.startedAt) {
+    recordMatch({
+      roomCode:  room.code,
+      reason,
+      wave:      room.wave,
+      score:     room.score,
+      coins:     room.coins,
+      startedAt: room.startedAt,
+      endedAt,
+      players:   results,
+    }).catch(err => console.error(`[MP] Failed to record match ${room.code}:`, err.message));
+  }
+
+  // Clean up after 30s unless everyone votes for a rematch first
+  room.rematchVotes.clear();
+  room.cleanupTimer = setTimeout(() => _destroyRoom(room.code), 30000);
+}
+
+function _playerResult(room, p, status) {
+  return {
+    uid:      p.uid,
+    username: p.username,
+    status,               // finished | disconnected | abandoned
+    score:    p.score,
+    kills:    p.kills,
+    survived: p.alive,
+    coins:    p.coins,
+    xp:       0,
+    events:   _challengeEvents(room, p, status),
+  };
+}
+
+// Match stats in the shape models/challenge.js expects
+function _challengeEvents(room, p, status) {
+  const events = [{ type: 'wave_reached', amount: room.wave }];
+  if (status === 'finished') events.push({ type: 'match_completed', amount: 1 });
+  for (const [enemyType, amount] of Object.entries(p.killsByType)) {
+    events.push({ type: 'enemy_kill', enemyType, amount });
+  }
+  for (const [powerupType, amount] of Object.entries(p.powerupsByType)) {
+    events.push({ type: 'powerup_collected', powerupType, amount });
+  }
+  return events;
+}
+
+// Partial-credit rules: matches under MIN_CREDIT_SECONDS pay nothing; players
+// who left early (or everyone, if the room was abandoned) get PARTIAL_CREDIT.
+function _applyRewards(room, results, endedAt) {
+  const seconds = room.startedAt ? (endedAt - room.startedAt) / 1000 : 0;
+  for (const r of results) {
+    const rate = seconds < MIN_CREDIT_SECONDS ? 0
+               : r.status === 'finished'     ? 1
+               : PARTIAL_CREDIT;
+    r.coins = Math.floor(r.coins * rate);
+    r.xp    = Math.floor((r.score * XP_PER_SCORE + (room.wave - 1) * XP_PER_WAVE) * rate);
+  }
 }
 
 // ─── State broadcast ──────────────────────────────────────────
@@ -589,6 +1319,7 @@ function _broadcastState(room) {
       shield:      p.shield,
       isDashing:   p.isDashing,
       dashCooldown: p.dashCooldown,
+      reconnecting: !!p.disconnected,
     })),
     enemies: Object.values(room.enemies).filter(e => e.alive).map(e => ({
       id: e.id, type: e.type,
@@ -596,26 +1327,91 @@ function _broadcastState(room) {
       hp: e.hp, maxHp: e.maxHp,
       radius: e.radius, color: e.color,
       score: e.score,
+      charge: e.charge ? e.charge.state : null,   // tanks: idle | windup | charging
     })),
     bullets: Object.values(room.bullets).map(b => ({
       id: b.id, x: b.x, y: b.y, r: BULLET_RADIUS,
     })),
+    enemyBullets: Object.values(room.enemyBullets).map(b => ({
+      id: b.id, x: b.x, y: b.y, r: ENEMY_BULLET_RADIUS,
+    })),
     wave:  room.wave,
     score: room.score,
     coins: room.coins,
     waveClearTimer:        room.waveClearTimer,
     enemiesKilledThisWave: room.enemiesKilledThisWave,
-    enemiesNeeded:         8 + room.wave * 3,
+    enemiesNeeded:         room.bossKey ? null : _killTarget(room),
+    boss:                  _bossBar(room),
     powerups: Object.values(room.powerups),
   };
 
   _broadcastToRoom(room, 'state', state);
 }
 
+// Lobby view of a room (room_updated, spectating, room_rejoined)
+function roomSnapshot(room) {
+  return {
+    code:       room.code,
+    maxPlayers: room.maxPlayers,
+    spectators: room.spectators.size,
+    players:    Object.values(room.players).map(p => ({
+      socketId: p.socketId,
+      username: p.username,
+      skin:     p.skin,
+      isHost:   p.isHost,
+      ready:    p.ready,
+    })),
+  };
+}
+
+// Boss HP bar for the state payload, or null
+function _bossBar(room) {
+  const boss = room.bossId && room.enemies[room.bossId];
+  if (!boss || !boss.alive) return null;
+  return {
+    id:     boss.id,
+    name:   boss.name,
+    hp:     boss.hp,
+    maxHp:  boss.maxHp,
+    phase:  boss.phase + 1,
+    phases: BOSSES[boss.bossKey].phases.length,
+  };
+}
+
 function _broadcastToRoom(room, event, data) {
   for (const p of Object.values(room.players)) {
     p.socket.emit(event, data);
   }
+  if (SPECTATOR_EVENTS.has(event)) {
+    for (const { socket } of room.spectators.values()) socket.emit(event, data);
+  }
+}
+
+// ─── Lookup ───────────────────────────────────────────────────
+// Public rooms still waiting for players, oldest first
+function listPublicRooms() {
+  return [...rooms.values()]
+    .filter(r => r.isPublic && r.state === 'waiting' && Object.keys(r.players).length < r.maxPlayers)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(r => {
+      const host = Object.values(r.players).find(p => p.isHost) || Object.values(r.players)[0];
+      return {
+        code:            r.code,
+        host:            { username: host.username, skin: host.skin },
+        players:         Object.keys(r.players).length,
+        maxPlayers:      r.maxPlayers,
+        spectators:      r.spectators.size,
+        allowSpectators: r.allowSpectators,
+        createdAt:       new Date(r.createdAt),
+      };
+    });
+}
+
+function findRoomBySocket(socketId) {
+  for (const room of rooms.values()) {
+    if (room.players[socketId]) return room;
+  }
+  return null;
 }
 
 // ─── Input handler ────────────────────────────────────────────
@@ -631,10 +1427,27 @@ function handleInput(socketId, input) {
 
 // ─── Public API ───────────────────────────────────────────────
 module.exports = {
+  MIN_ROOM_SIZE,
+  MAX_ROOM_SIZE,
+  RECONNECT_GRACE_MS,
   createRoom,
   joinRoom,
   leaveRoom,
+  setReady,
+  setRoomSize,
+  hostStart,
+  kickPlayer,
+  voteRematch,
+  roomSnapshot,
+  disconnectPlayer,
+  rejoinRoom,
+  findHeldRoom,
+  spectateRoom,
+  stopSpectating,
+  setAllowSpectators,
   startGame,
   handleInput,
+  findRoomBySocket,
+  listPublicRooms,
   rooms,
 };
@@ -0,0 +1,105 @@
+// multiplayer/invites.js
+// Party invites: a player in a waiting room invites an online player, who gets
+// `room_invite` and can accept (joins the room directly) or decline. Invites
+// live in memory, expire after INVITE_TTL_MS and are rate-limited per sender.
+// gameServer.js withdraws them when the sender leaves or the room stops waiting.
+const crypto = require('crypto');
+const { emitToUser } = require('./userChannel');
+const { getPresence } = require('./presence');
+const { isBlocked } = require('../models/friend');
+
+const INVITE_TTL_MS          = 60 * 1000;
+const RATE_WINDOW_MS         = 60 * 1000;
+const MAX_INVITES_PER_WINDOW = 5;
+
+const invites = new Map();   // inviteId → invite
+const recent  = new Map();   // uid → timestamps of invites sent in the current window
+
+function _publicInvite(inv) {
+  return {
+    inviteId:  inv.id,
+    from:      { uid: inv.fromUid, username: inv.fromName },
+    to:        { uid: inv.toUid },
+    roomCode:  inv.roomCode,
+    expiresAt: new Date(inv.expiresAt),
+  };
+}
+
+function _rateLimited(uid) {
+  const now = Date.now();
+  // Sweep every sender so the map only ever holds the current window
+  for (const [key, times] of recent) {
+    const live = times.filter(t => now - t < RATE_WINDOW_MS);
+    if (live.length > 0) recent.set(key, live);
+    else recent.delete(key);
+  }
+  const times = recent.get(uid) || [];
+  if (times.length >= MAX_INVITES_PER_WINDOW) return true;
+  times.push(now);
+  recent.set(uid, times);
+  return false;
+}
+
+function _remove(inv) {
+  clearTimeout(inv.timer);
+  invites.delete(inv.id);
+}
+
+function _expire(inv) {
+  _remove(inv);
+  emitToUser(inv.fromUid, 'invite_expired', { inviteId: inv.id });
+  emitToUser(inv.toUid,   'invite_expired', { inviteId: inv.id });
+}
+
+// ── Invite `toUid` into `room`, the one the sender is in. Returns { invite } or { error }.
+async function sendInvite(from, room, toUid) {
+  if (!room)                     return { error: 'Create or join a room first' };
+  if (room.state !== 'waiting')  return { error: 'Game already started' };
+  if (toUid === from.uid)        return { error: 'You cannot invite yourself' };
+  if (Object.values(room.players).some(p => p.uid === toUid)) return { error: 'That player is already in your room' };
+  if (getPresence(toUid).status === 'offline') return { error: 'That player is not online' };
+  for (const inv of invites.values()) {
+    if (inv.fromUid === from.uid && inv.toUid === toUid && inv.roomCode === room.code) {
+      return { error: 'You already invited that player' };
+    }
+  }
+  if (_rateLimited(from.uid))            return { error: 'Too many invites — try again in a minute' };
+  if (await isBlocked(from.uid, toUid))  return { error: 'You cannot invite that player' };
+
+  const inv = {
+    id:        crypto.randomUUID(),
+    fromUid:   from.uid,
+    fromName:  from.username,
+    toUid,
+    roomCode:  room.code,
+    expiresAt: Date.now() + INVITE_TTL_MS,
+  };
+  inv.timer = setTimeout(() => _expire(inv), INVITE_TTL_MS);
+  invites.set(inv.id, inv);
+  emitToUser(toUid, 'room_invite', _publicInvite(inv));
+  return { invite: _publicInvite(inv) };
+}
+
+// ── Look up a pending invite addressed to `uid` without using it up. Returns { invite } or { error }.
+function findInvite(inviteId, uid) {
+  const inv = invites.get(inviteId);
+  if (!inv || inv.toUid !== uid) return { error: 'Invite not found or expired' };
+  return { invite: inv };
+}
+
+// ── Resolve an invite addressed to `uid` (accept or decline). Returns { invite } or { error }.
+function takeInvite(inviteId, uid) {
+  const found = findInvite(inviteId, uid);
+  if (found.invite) _remove(found.invite);
+  return found;
+}
+
+// ── Withdraw invites into `roomCode` that can no longer be accepted: all of them once
+// the room stops waiting, or only `fromUid`'s when that player leaves it
+function dropInvites(roomCode, fromUid = null) {
+  for (const inv of invites.values()) {
+    if (inv.roomCode === roomCode && (!fromUid || inv.fromUid === fromUid)) _expire(inv);
+  }
+}
+
+module.exports = { INVITE_TTL_MS, sendInvite, findInvite, takeInvite, dropInvites };
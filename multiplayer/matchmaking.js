@@ -0,0 +1,96 @@
+// multiplayer/matchmaking.js
+// Quick-play queue. Waiting players are paired by level (from current_xp);
+// the allowed level gap starts at BASE_LEVEL_RANGE and widens the longer the
+// older of the two has waited, until anyone matches anyone after MATCH_ANY_AFTER_MS.
+// socketHandler.js supplies onMatch, which builds the room and starts the countdown.
+const { query } = require('../config/db');
+const { calculateTrueLevel } = require('../models/level');
+const { findRoomBySocket } = require('./gameServer');
+
+const BASE_LEVEL_RANGE   = 3;
+const WIDEN_EVERY_MS     = 10 * 1000;
+const WIDEN_BY_LEVELS    = 3;
+const MATCH_ANY_AFTER_MS = 60 * 1000;
+const SWEEP_MS           = 2000;
+
+const queue = [];   // { socket, uid, level, blocked: Set<uid>, joinedAt }, oldest first
+let onMatch = null;
+let sweepTimer = null;
+
+function _allowedGap(entry, now) {
+  const waited = now - entry.joinedAt;
+  if (waited >= MATCH_ANY_AFTER_MS) return Infinity;
+  return BASE_LEVEL_RANGE + Math.floor(waited / WIDEN_EVERY_MS) * WIDEN_BY_LEVELS;
+}
+
+// ── Pair off everyone who can be paired, oldest first
+function _sweep() {
+  const now = Date.now();
+  for (let i = 0; i < queue.length; i++) {
+    const a = queue[i];
+    let best = -1;
+    for (let j = i + 1; j < queue.length; j++) {
+      const b = queue[j];
+      if (a.uid === b.uid || a.blocked.has(b.uid) || b.blocked.has(a.uid)) continue;
+      const gap = Math.abs(a.level - b.level);
+      if (gap > Math.max(_allowedGap(a, now), _allowedGap(b, now))) continue;
+      if (best === -1 || gap < Math.abs(a.level - queue[best].level)) best = j;
+    }
+    if (best === -1) continue;
+    const b = queue.splice(best, 1)[0];
+    queue.splice(i, 1);
+    i--;
+    onMatch(a, b);
+  }
+  if (queue.length === 0 && sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+function setMatchHandler(fn) {
+  onMatch = fn;
+}
+
+function isQueued(socketId) {
+  return queue.some(e => e.socket.id === socketId);
+}
+
+// ── Join the queue and tell the player (`queue_joined`), then try to pair.
+// Returns { error } if they can't queue.
+async function enqueue(socket) {
+  if (isQueued(socket.id)) return { error: 'Already in the quick-play queue' };
+  const { uid } = socket.user;
+  const { rows } = await query('SELECT current_xp FROM users WHERE uid = $1', [uid]);
+  if (!rows[0]) return { error: 'Account not found' };
+  const { rows: blocks } = await query(
+    'SELECT uid, blocked_uid FROM user_blocks WHERE uid = $1 OR blocked_uid = $1',
+    [uid]
+  );
+  // The lookups were async: the player may have queued, joined a room or left meanwhile
+  if (isQueued(socket.id))          return { error: 'Already in the quick-play queue' };
+  if (!socket.connected || findRoomBySocket(socket.id)) return {};
+
+  const entry = {
+    socket,
+    uid,
+    level:    calculateTrueLevel(rows[0].current_xp),
+    blocked:  new Set(blocks.map(b => (b.uid === uid ? b.blocked_uid : b.uid))),
+    joinedAt: Date.now(),
+  };
+  queue.push(entry);
+  socket.emit('queue_joined', { level: entry.level, waiting: queue.length });
+  if (!sweepTimer) sweepTimer = setInterval(_sweep, SWEEP_MS);
+  _sweep();
+  return {};
+}
+
+// ── Leave the queue (leave_queue, disconnect, or joining a room another way)
+function dequeue(socketId) {
+  const i = queue.findIndex(e => e.socket.id === socketId);
+  if (i === -1) return false;
+  queue.splice(i, 1);
+  return true;
+}
+
+module.exports = { setMatchHandler, enqueue, dequeue, isQueued };
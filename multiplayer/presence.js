@@ -0,0 +1,53 @@
+// multiplayer/presence.js
+// In-memory presence per player: offline, online, in_lobby (waiting in a room)
+// or in_game. socketHandler.js reports connects/disconnects and gameServer.js
+// reports room changes; every change is pushed to the player's friends on the
+// `friend_presence` event. Like rooms, presence is per server instance.
+const { emitToUser } = require('./userChannel');
+const { getFriendUids } = require('../models/friend');
+
+const sockets  = new Map();   // uid → number of open sockets
+const activity = new Map();   // uid → { status: 'in_lobby' | 'in_game', roomCode }
+
+function getPresence(uid) {
+  if (!sockets.get(uid)) return { status: 'offline', roomCode: null };
+  const a = activity.get(uid);
+  if (!a) return { status: 'online', roomCode: null };
+  // Friends can join a lobby with its code; a running game is closed anyway
+  return { status: a.status, roomCode: a.status === 'in_lobby' ? a.roomCode : null };
+}
+
+async function _pushToFriends(uid) {
+  try {
+    const presence = { uid, ...getPresence(uid) };
+    for (const friendUid of await getFriendUids(uid)) {
+      emitToUser(friendUid, 'friend_presence', presence);
+    }
+  } catch (err) {
+    console.error('[Presence] push failed for', uid, err.message);
+  }
+}
+
+function socketConnected(uid) {
+  const count = (sockets.get(uid) || 0) + 1;
+  sockets.set(uid, count);
+  if (count === 1) _pushToFriends(uid);
+}
+
+function socketDisconnected(uid) {
+  const count = (sockets.get(uid) || 1) - 1;
+  if (count > 0) return sockets.set(uid, count);
+  sockets.delete(uid);
+  activity.delete(uid);
+  _pushToFriends(uid);
+}
+
+// ── Called by gameServer.js: status 'in_lobby' | 'in_game', or null when the player left the room
+function setActivity(uid, status, roomCode = null) {
+  const before = activity.get(uid);
+  if (status) activity.set(uid, { status, roomCode });
+  else        activity.delete(uid);
+  if ((before?.status || null) !== status || (before?.roomCode || null) !== roomCode) _pushToFriends(uid);
+}
+
+module.exports = { getPresence, socketConnected, socketDisconnected, setActivity };
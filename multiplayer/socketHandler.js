@@ -2,9 +2,46 @@
 // Handles all Socket.io events for multiplayer rooms
 
 const jwt = require('jsonwebtoken');
-const { createRoom, joinRoom, leaveRoom, startGame, handleInput } = require('./gameServer');
+const {
+  MIN_ROOM_SIZE, MAX_ROOM_SIZE, createRoom, joinRoom, disconnectPlayer, rejoinRoom, findHeldRoom,
+  leaveRoom, setReady, setRoomSize, hostStart, kickPlayer, voteRematch, roomSnapshot, spectateRoom, stopSpectating, setAllowSpectators,
+  handleInput, findRoomBySocket, listPublicRooms,
+} = require('./gameServer');
+const { setIo, userRoom, emitToUser } = require('./userChannel');
+const { socketConnected, socketDisconnected } = require('./presence');
+const { sendInvite, findInvite, takeInvite } = require('./invites');
+const { setMatchHandler, enqueue, dequeue } = require('./matchmaking');
+const { countUnread } = require('../models/notification');
 
 function initSocketHandler(io) {
+  setIo(io);
+
+  // ─── Put a socket into a room and tell everyone (join_room, accept_invite).
+  // Returns the room, or null if the join was refused.
+  function joinAndAnnounce(socket, code) {
+    dequeue(socket.id);
+    const result = joinRoom(code, socket, socket.user);
+    if (result.error) {
+      socket.emit('error', { message: result.error });
+      return null;
+    }
+
+    socket.join(result.room.code);
+
+    // Tell the joining player they're in
+    socket.emit('room_joined', {
+      code:     result.room.code,
+      username: socket.user.username,
+    });
+
+    // Tell all players in the room who's here now; the countdown waits for set_ready
+    io.to(result.room.code).emit('room_updated', roomSnapshot(result.room));
+    return result.room;
+  }
+
+  function validRoomSize(size) {
+    return Number.isInteger(size) && size >= MIN_ROOM_SIZE && size <= MAX_ROOM_SIZE;
+  }
 
   // ─── Auth middleware ──────────────────────────────────────────
   io.use((socket, next) => {
@@ -20,17 +57,61 @@ function initSocketHandler(io) {
     }
   });
 
+  // ─── Quick play: the older waiter hosts, the other joins, and both are
+  // readied so the countdown starts straight away
+  setMatchHandler((a, b) => {
+    const room = createRoom(a.socket, a.socket.user);
+    a.socket.join(room.code);
+    for (const { socket } of [a, b]) socket.emit('match_found', { code: room.code });
+    a.socket.emit('room_created', { code: room.code, username: a.socket.user.username });
+    if (!joinAndAnnounce(b.socket, room.code)) return;
+    setReady(a.socket.id, true);
+    setReady(b.socket.id, true);
+  });
+
   io.on('connection', (socket) => {
     console.log(`[Socket] Connected: ${socket.user.username} (${socket.id})`);
+    socket.join(userRoom(socket.user.uid));
+    socketConnected(socket.user.uid);
+    countUnread(socket.user.uid)
+      .then((unread) => socket.emit('notifications_unread', { unread }))
+      .catch(() => {});
+
+    // Handlers get an object payload whatever the client sent (nothing, null, junk),
+    // and a throw, sync or async, becomes an `error` to this socket instead of
+    // escaping socket.io's dispatch and taking the whole process down
+    const on = (event, handler) => socket.on(event, async (payload) => {
+      try {
+        await handler(payload && typeof payload === 'object' ? payload : {});
+      } catch (err) {
+        console.error(`[Socket] ${event} failed for ${socket.user.username}:`, err.message);
+        socket.emit('error', { message: 'Something went wrong' });
+      }
+    });
+
+    // A game dropped in the last RECONNECT_GRACE_MS is still holding this player's slot
+    const held = findHeldRoom(socket.user.uid);
+    if (held) {
+      socket.emit('rejoin_available', {
+        code:    held.room.code,
+        seconds: Math.max(0, Math.ceil((held.player.reconnectUntil - Date.now()) / 1000)),
+      });
+    }
 
     // ── Create a room ───────────────────────────────────────────
-    socket.on('create_room', () => {
+    // Payload (optional): { isPublic, allowSpectators, maxPlayers } — public rooms show up in list_rooms
+    on('create_room', ({ isPublic = false, allowSpectators = true, maxPlayers = 2 }) => {
+      if (!validRoomSize(maxPlayers)) {
+        return socket.emit('error', { message: `Room size must be ${MIN_ROOM_SIZE}–${MAX_ROOM_SIZE} players` });
+      }
       try {
-        const room = createRoom(socket, socket.user);
+        dequeue(socket.id);
+        const room = createRoom(socket, socket.user, { isPublic: !!isPublic, allowSpectators: !!allowSpectators, maxPlayers });
         socket.join(room.code);
         socket.emit('room_created', {
-          code:     room.code,
-          username: socket.user.username,
+          code:       room.code,
+          username:   socket.user.username,
+          maxPlayers: room.maxPlayers,
         });
       } catch (err) {
         socket.emit('error', { message: 'Failed to create room' });
@@ -38,51 +119,151 @@ function initSocketHandler(io) {
     });
 
     // ── Join a room ─────────────────────────────────────────────
-    socket.on('join_room', ({ code }) => {
-      if (!code) return socket.emit('error', { message: 'Room code required' });
+    on('join_room', ({ code }) => {
+      if (!code || typeof code !== 'string') return socket.emit('error', { message: 'Room code required' });
+      joinAndAnnounce(socket, code);
+    });
 
-      const result = joinRoom(code, socket, socket.user);
+    // ── Rejoin a game after a dropped connection ────────────────
+    // Payload (optional): { code }. Takes over the held slot with its state intact.
+    on('rejoin_room', ({ code }) => {
+      if (code != null && typeof code !== 'string') return socket.emit('error', { message: 'Invalid room code' });
+      if (findRoomBySocket(socket.id)) return socket.emit('error', { message: 'Leave your current room first' });
+      const result = rejoinRoom(code, socket, socket.user);
       if (result.error) return socket.emit('error', { message: result.error });
 
+      dequeue(socket.id);
       socket.join(result.room.code);
+      socket.emit('room_rejoined', {
+        ...roomSnapshot(result.room),
+        socketId: socket.id,
+        wave:     result.room.wave,
+        score:    result.room.score,
+      });
+    });
+
+    // ── Lobby ───────────────────────────────────────────────────
+    // The countdown starts when the room is full and everyone is ready
+    on('set_ready', ({ ready = true }) => {
+      const result = setReady(socket.id, !!ready);
+      if (result.error) socket.emit('error', { message: result.error });
+    });
 
-      // Tell the joining player they're in
-      socket.emit('room_joined', {
-        code:     result.room.code,
-        username: socket.user.username,
+    // Host only. Payload: { size }
+    on('set_room_size', ({ size }) => {
+      if (!validRoomSize(size)) {
+        return socket.emit('error', { message: `Room size must be ${MIN_ROOM_SIZE}–${MAX_ROOM_SIZE} players` });
+      }
+      const result = setRoomSize(socket.id, size);
+      if (result.error) socket.emit('error', { message: result.error });
+    });
+
+    // Host only: count down now, even if the room isn't full, once everyone else is ready
+    on('start_game', () => {
+      const result = hostStart(socket.id);
+      if (result.error) socket.emit('error', { message: result.error });
+    });
+
+    // Host only. Payload: { socketId }
+    on('kick_player', ({ socketId }) => {
+      if (!socketId) return socket.emit('error', { message: 'socketId required' });
+      const result = kickPlayer(socket.id, socketId);
+      if (result.error) return socket.emit('error', { message: result.error });
+      result.player.socket.leave(result.room.code);
+    });
+
+    // After game_over. Payload (optional): { vote } — false withdraws a vote
+    on('rematch', ({ vote = true }) => {
+      const result = voteRematch(socket.id, !!vote);
+      if (result.error) socket.emit('error', { message: result.error });
+    });
+
+    // Leave for good — no reconnection hold, the host passes to the next player
+    on('leave_room', () => {
+      const room = findRoomBySocket(socket.id);
+      if (!room) return socket.emit('error', { message: 'Not in a room' });
+      leaveRoom(socket.id);
+      socket.leave(room.code);
+      socket.emit('room_left', { code: room.code });
+    });
+
+    // ── Spectators ──────────────────────────────────────────────
+    // Watch any room by code; spectators get the game stream but can't play
+    on('spectate_room', ({ code }) => {
+      if (!code || typeof code !== 'string') return socket.emit('error', { message: 'Room code required' });
+      if (findRoomBySocket(socket.id)) return socket.emit('error', { message: 'Leave your current room first' });
+      const result = spectateRoom(code, socket, socket.user);
+      if (result.error) return socket.emit('error', { message: result.error });
+
+      socket.emit('spectating', {
+        ...roomSnapshot(result.room),
+        state: result.room.state,
+        wave:  result.room.wave,
+        score: result.room.score,
       });
+    });
+
+    on('stop_spectating', () => {
+      stopSpectating(socket.id, 'left');
+    });
+
+    // Host only. Payload: { allow }
+    on('set_spectators', ({ allow }) => {
+      const result = setAllowSpectators(socket.id, !!allow);
+      if (result.error) socket.emit('error', { message: result.error });
+    });
+
+    // ── Room browser + quick play ───────────────────────────────
+    on('list_rooms', () => {
+      socket.emit('room_list', { rooms: listPublicRooms() });
+    });
 
-      // Tell all players in the room who's here now
-      const players = Object.values(result.room.players).map(p => ({
-        socketId: p.socketId,
-        username: p.username,
-        skin:     p.skin,
-        isHost:   p.isHost,
-      }));
-
-      io.to(result.room.code).emit('room_updated', { players });
-
-      // If room is now full (2 players), start a countdown
-      if (players.length === 2) {
-        let countdown = 3;
-        io.to(result.room.code).emit('countdown', { seconds: countdown });
-
-        const timer = setInterval(() => {
-          countdown--;
-          if (countdown > 0) {
-            io.to(result.room.code).emit('countdown', { seconds: countdown });
-          } else {
-            clearInterval(timer);
-            startGame(result.room);
-          }
-        }, 1000);
+    on('queue_quickplay', async () => {
+      if (findRoomBySocket(socket.id)) return socket.emit('error', { message: 'Leave your current room first' });
+      try {
+        const result = await enqueue(socket);
+        if (result.error) socket.emit('error', { message: result.error });
+      } catch (err) {
+        socket.emit('error', { message: 'Failed to join the queue' });
+      }
+    });
+
+    on('leave_queue', () => {
+      if (dequeue(socket.id)) socket.emit('queue_left', {});
+    });
+
+    // ── Party invites ───────────────────────────────────────────
+    on('invite_to_room', async ({ toUid }) => {
+      if (!toUid || typeof toUid !== 'string') return socket.emit('error', { message: 'toUid required' });
+      try {
+        const result = await sendInvite(socket.user, findRoomBySocket(socket.id), toUid);
+        if (result.error) return socket.emit('error', { message: result.error });
+        socket.emit('invite_sent', result.invite);
+      } catch (err) {
+        socket.emit('error', { message: 'Failed to send invite' });
       }
     });
 
+    on('accept_invite', ({ inviteId }) => {
+      if (findRoomBySocket(socket.id)) return socket.emit('error', { message: 'Leave your current room first' });
+      const { invite, error } = findInvite(inviteId, socket.user.uid);
+      if (error) return socket.emit('error', { message: error });
+      // Only a join that went through uses the invite up; a refused one leaves it pending
+      if (!joinAndAnnounce(socket, invite.roomCode)) return;
+      takeInvite(inviteId, socket.user.uid);
+      emitToUser(invite.fromUid, 'invite_accepted', { inviteId, uid: socket.user.uid, username: socket.user.username });
+    });
+
+    on('decline_invite', ({ inviteId }) => {
+      const { invite, error } = takeInvite(inviteId, socket.user.uid);
+      if (error) return socket.emit('error', { message: error });
+      emitToUser(invite.fromUid, 'invite_declined', { inviteId, uid: socket.user.uid, username: socket.user.username });
+    });
+
     // ── Player input ────────────────────────────────────────────
     socket.on('input', (input) => {
       // Basic validation
-      if (typeof input !== 'object') return;
+      if (!input || typeof input !== 'object') return;
       handleInput(socket.id, {
         up:       !!input.up,
         down:     !!input.down,
@@ -98,7 +279,10 @@ function initSocketHandler(io) {
     // ── Disconnect ──────────────────────────────────────────────
     socket.on('disconnect', () => {
       console.log(`[Socket] Disconnected: ${socket.user?.username} (${socket.id})`);
-      leaveRoom(socket.id);
+      dequeue(socket.id);
+      stopSpectating(socket.id);
+      socketDisconnected(socket.user.uid);   // before leaving: friends see one "offline", not "online" then "offline"
+      disconnectPlayer(socket.id);           // mid-game the slot is held for a rejoin_room first
     });
   });
 
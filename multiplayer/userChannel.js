@@ -0,0 +1,25 @@
+// multiplayer/userChannel.js
+// Per-player socket channel. Every authenticated socket joins `user:<uid>`, so
+// code outside the game loop (notifications, alerts) can reach a player's
+// open clients without knowing their socket ids.
+
+let io = null;
+
+function setIo(server) {
+  io = server;
+}
+
+function userRoom(uid) {
+  return `user:${uid}`;
+}
+
+// No-op until the socket server is up (e.g. during boot or in scripts)
+function emitToUser(uid, event, payload) {
+  if (io) io.to(userRoom(uid)).emit(event, payload);
+}
+
+function emitToAll(event, payload) {
+  if (io) io.emit(event, payload);
+}
+
+module.exports = { setIo, userRoom, emitToUser, emitToAll };
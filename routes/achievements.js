@@ -0,0 +1,93 @@
+// routes/achievements.js
+const express = require('express');
+const router  = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { query } = require('../config/db');
+const { getSkin } = require('../models/skin');
+const {
+  ACHIEVEMENT_STATS,
+  getUserAchievements, getAchievements, createAchievement, deleteAchievement,
+} = require('../models/achievement');
+
+// GET /api/achievements — every visible achievement and how many players unlocked it
+router.get('/', async (req, res) => {
+  try {
+    return res.json({ achievements: await getAchievements() });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load achievements' });
+  }
+});
+
+// GET /api/achievements/me — your unlocks (hidden ones included once unlocked)
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    return res.json(await getUserAchievements(req.user.uid));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load achievements' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// ADMIN
+// ─────────────────────────────────────────────────────────────
+
+// GET /api/achievements/admin/list — includes hidden achievements
+router.get('/admin/list', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    return res.json({ achievements: await getAchievements({ includeHidden: true }), stats: ACHIEVEMENT_STATS });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load achievements' });
+  }
+});
+
+// POST /api/achievements/admin/create
+// Body: { id, name, description, stat, threshold, rewardSkin?, hidden? }
+// Only players who next save progress, finish a match or trade are evaluated.
+router.post('/admin/create', requireAuth, requireAdmin, async (req, res) => {
+  const { id, name, description, stat, threshold, rewardSkin, hidden } = req.body;
+  if (!id || !/^[a-z0-9-]{1,48}$/.test(id)) {
+    return res.status(400).json({ error: 'id must be 1–48 lowercase letters, digits or dashes' });
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+    return res.status(400).json({ error: 'name must be 1–64 characters' });
+  }
+  if (typeof description !== 'string' || !description.trim() || description.length > 140) {
+    return res.status(400).json({ error: 'description must be 1–140 characters' });
+  }
+  if (!ACHIEVEMENT_STATS.includes(stat)) {
+    return res.status(400).json({ error: `stat must be one of: ${ACHIEVEMENT_STATS.join(', ')}` });
+  }
+  if (!Number.isInteger(threshold) || threshold <= 0) {
+    return res.status(400).json({ error: 'threshold must be a positive integer' });
+  }
+  try {
+    if (rewardSkin && !await getSkin(rewardSkin)) return res.status(404).json({ error: 'Skin not in catalog' });
+    const achievement = await createAchievement({
+      id, name: name.trim(), description: description.trim(), stat, threshold, rewardSkin, hidden,
+    });
+    if (!achievement) return res.status(409).json({ error: 'An achievement with this id already exists' });
+    await query(`
+      INSERT INTO activity_logs (admin_id, admin_name, action, details)
+      VALUES ($1, $2, 'CREATE_ACHIEVEMENT', $3)
+    `, [req.user.uid, req.user.username, `${id} (${stat} ≥ ${threshold}${rewardSkin ? `, reward ${rewardSkin}` : ''})`]);
+    return res.json({ success: true, achievement });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to create achievement' });
+  }
+});
+
+// DELETE /api/achievements/admin/:id — also removes every player's unlock record
+router.delete('/admin/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!await deleteAchievement(req.params.id)) return res.status(404).json({ error: 'Achievement not found' });
+    await query(`
+      INSERT INTO activity_logs (admin_id, admin_name, action, details)
+      VALUES ($1, $2, 'DELETE_ACHIEVEMENT', $3)
+    `, [req.user.uid, req.user.username, req.params.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to delete achievement' });
+  }
+});
+
+module.exports = router;
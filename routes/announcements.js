@@ -3,6 +3,7 @@ const express = require('express');
 const router  = express.Router();
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { query } = require('../config/db');
+const { notifyAll } = require('../models/notification');
 
 // GET /api/announcements/active — public, returns active non-expired announcements
 router.get('/active', async (req, res) => {
@@ -64,6 +65,8 @@ router.post('/admin/create', requireAuth, requireAdmin, async (req, res) => {
       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *
     `, [title, message, type, priority, req.user.uid, req.user.username, active, showToGuests, expiresAt || null]);
+    // Active announcements also land in every player's notification inbox
+    if (rows[0].active) await notifyAll('announcement', `${title}: ${message}`, { announcementId: rows[0].id });
     return res.json({ success: true, announcement: rows[0] });
   } catch (err) {
     return res.status(500).json({ error: 'Failed to create announcement' });
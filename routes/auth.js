@@ -8,7 +8,7 @@ const bcrypt  = require('bcrypt');
 const jwt     = require('jsonwebtoken');
 const { query } = require('../config/db');
 const { requireAuth } = require('../middleware/auth');
-const { updateProgress } = require('../models/user');
+const { updateProgress, ROUND_CAPS } = require('../models/user');
 
 const SALT_ROUNDS = 12;
 
@@ -160,20 +160,24 @@ router.get('/me', requireAuth, async (req, res) => {
 });
 
 // ─── POST /api/auth/progress ──────────────────────────────────
-// Saves score/coins/XP after each game round.
-// Body: { highScore, totalCoins, currentXp }
+// Records one finished round. Coins/XP are what the round EARNED, not totals —
+// the server credits them through the ledger, subject to plausibility caps.
+// Body: { score, coinsEarned, xpEarned }
 router.post('/progress', requireAuth, async (req, res) => {
   try {
-    const { highScore = 0, totalCoins = 0, currentXp = 0 } = req.body;
+    const { score = 0, coinsEarned = 0, xpEarned = 0 } = req.body;
 
-    if (highScore < 0 || highScore > 9_999_999)     return res.status(400).json({ error: 'Invalid score' });
-    if (totalCoins < 0 || totalCoins > 10_000_000)  return res.status(400).json({ error: 'Invalid coins' });
-    if (currentXp  < 0 || currentXp  > 10_000_000) return res.status(400).json({ error: 'Invalid XP' });
+    if (![score, coinsEarned, xpEarned].every(Number.isFinite)) {
+      return res.status(400).json({ error: 'score, coinsEarned and xpEarned must be numbers' });
+    }
+    if (score < 0 || score > ROUND_CAPS.score)                    return res.status(400).json({ error: 'Invalid score' });
+    if (coinsEarned < 0 || coinsEarned > ROUND_CAPS.coinsPerRound) return res.status(400).json({ error: 'Invalid coins' });
+    if (xpEarned < 0 || xpEarned > ROUND_CAPS.xpPerRound)          return res.status(400).json({ error: 'Invalid XP' });
 
     const updated = await updateProgress(req.user.uid, {
-      highScore:  Math.floor(highScore),
-      totalCoins: Math.floor(totalCoins),
-      currentXp:  Math.floor(currentXp),
+      score:       Math.floor(score),
+      coinsEarned: Math.floor(coinsEarned),
+      xpEarned:    Math.floor(xpEarned),
     });
 
     if (!updated) return res.status(404).json({ error: 'User not found' });
@@ -1,20 +1,69 @@
 // routes/battlepass.js
+// Seasons and tier rewards are defined server-side. The client only reads
+// progress and asks to claim — every grant is checked and applied here.
 const express = require('express');
 const router  = express.Router();
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { query } = require('../config/db');
+const { getSkin } = require('../models/skin');
+const { CRATE_TYPES } = require('../models/crate');
+const {
+  TRACKS,
+  getActiveSeason, getSeasons, rolloverSeasons, createSeason, getOverlappingSeasons, deleteSeason,
+  getProgress, getArchivedProgress, buyPremium, claimTier,
+} = require('../models/battlepass');
 
-// GET /api/battlepass/me — load battle pass + crate inventory
+// Returns an error string, or null if the tier list is valid
+async function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) return 'tiers must be a non-empty array';
+  let prevXp = -1;
+  for (const [i, t] of tiers.entries()) {
+    if (t.tier !== i + 1)                         return 'tiers must be numbered 1, 2, 3… in order';
+    if (!Number.isInteger(t.xp) || t.xp < prevXp) return `tier ${t.tier}: xp must be an integer, non-decreasing`;
+    prevXp = t.xp;
+    for (const track of TRACKS) {
+      const reward = t[track];
+      if (reward == null) continue;
+      if (reward.coins != null && (!Number.isInteger(reward.coins) || reward.coins < 0)) {
+        return `tier ${t.tier} ${track}: coins must be a non-negative integer`;
+      }
+      for (const [crateId, count] of Object.entries(reward.crates || {})) {
+        if (!CRATE_TYPES.includes(crateId))           return `tier ${t.tier} ${track}: unknown crate ${crateId}`;
+        if (!Number.isInteger(count) || count < 0)    return `tier ${t.tier} ${track}: crate counts must be integers`;
+      }
+      if (reward.skin && !await getSkin(reward.skin)) return `tier ${t.tier} ${track}: skin not in catalog`;
+    }
+  }
+  return null;
+}
+
+// GET /api/battlepass/me — active season, your progress + crate inventory
 router.get('/me', requireAuth, async (req, res) => {
   try {
+    const season = await getActiveSeason();
     const { rows } = await query(
-      `SELECT battle_pass_data, crate_inventory FROM users WHERE uid = $1`,
+      `SELECT crate_inventory FROM users WHERE uid = $1`,
       [req.user.uid]
     );
     if (!rows[0]) return res.status(404).json({ error: 'User not found' });
+
+    const progress = season ? await getProgress(req.user.uid, season.id) : null;
     return res.json({
-      battlePassData:  rows[0].battle_pass_data  || {},
-      crateInventory:  rows[0].crate_inventory   || {},
+      season: season && {
+        id:           season.id,
+        name:         season.name,
+        startsAt:     season.starts_at,
+        endsAt:       season.ends_at,
+        premiumPrice: season.premium_price,
+        tiers:        season.tiers,
+      },
+      progress: progress && {
+        xp:             progress.xp,
+        premium:        progress.premium,
+        claimedFree:    progress.claimed_free,
+        claimedPremium: progress.claimed_premium,
+      },
+      crateInventory: rows[0].crate_inventory || {},
     });
   } catch (err) {
     console.error('[BP] GET /me error:', err.message);
@@ -22,28 +71,111 @@ router.get('/me', requireAuth, async (req, res) => {
   }
 });
 
-// POST /api/battlepass/save — save battle pass + crate inventory
-router.post('/save', requireAuth, async (req, res) => {
+// GET /api/battlepass/history — your progress in archived seasons
+router.get('/history', requireAuth, async (req, res) => {
+  try {
+    const seasons = await getArchivedProgress(req.user.uid);
+    return res.json({ seasons });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load battle pass history' });
+  }
+});
+
+// POST /api/battlepass/claim/:tier
+// Body: { track?: 'free' | 'premium' }  (default 'free')
+router.post('/claim/:tier', requireAuth, async (req, res) => {
+  const tier  = parseInt(req.params.tier);
+  const track = req.body.track || 'free';
+  if (!Number.isInteger(tier) || tier < 1) return res.status(400).json({ error: 'Invalid tier' });
+  if (!TRACKS.includes(track))             return res.status(400).json({ error: 'track must be free or premium' });
+  try {
+    await rolloverSeasons();
+    const result = await claimTier(req.user.uid, tier, track);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('[BP] /claim error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/battlepass/premium — unlock the premium track for the active season
+router.post('/premium', requireAuth, async (req, res) => {
+  try {
+    await rolloverSeasons();
+    const result = await buyPremium(req.user.uid);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('[BP] /premium error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// ADMIN SEASON ROUTES
+// ─────────────────────────────────────────────────────────────
+
+// GET /api/battlepass/admin/seasons
+router.get('/admin/seasons', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { battlePassData, crateInventory } = req.body;
-    if (!battlePassData && !crateInventory) {
-      return res.status(400).json({ error: 'battlePassData or crateInventory required' });
+    return res.json(await getSeasons());
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load seasons' });
+  }
+});
+
+// POST /api/battlepass/admin/seasons
+// Body: { id, name, startsAt, endsAt, premiumPrice, tiers: [{ tier, xp, free, premium }] }
+// Each reward: { coins?, crates?: { 'common-crate': 1 }, skin? }
+router.post('/admin/seasons', requireAuth, requireAdmin, async (req, res) => {
+  const { id, name, startsAt, endsAt, premiumPrice = 0, tiers } = req.body;
+  if (!id || !name || !startsAt || !endsAt) {
+    return res.status(400).json({ error: 'id, name, startsAt and endsAt are required' });
+  }
+  const start = new Date(startsAt);
+  const end   = new Date(endsAt);
+  if (isNaN(start) || isNaN(end) || end <= start) return res.status(400).json({ error: 'Invalid season dates' });
+  if (!Number.isInteger(premiumPrice) || premiumPrice < 0) {
+    return res.status(400).json({ error: 'premiumPrice must be a non-negative integer' });
+  }
+  try {
+    const invalid = await validateTiers(tiers);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const overlaps = await getOverlappingSeasons(start, end);
+    if (overlaps.length > 0) {
+      return res.status(409).json({ error: `Overlaps season ${overlaps[0].id}` });
     }
+
+    const season = await createSeason({ id, name, startsAt: start, endsAt: end, premiumPrice, tiers });
+    if (!season) return res.status(409).json({ error: 'A season with this id already exists' });
     await query(`
-      UPDATE users SET
-        battle_pass_data = $2,
-        crate_inventory  = $3,
-        updated_at       = NOW()
-      WHERE uid = $1
-    `, [
-      req.user.uid,
-      JSON.stringify(battlePassData || {}),
-      JSON.stringify(crateInventory || {}),
-    ]);
+      INSERT INTO activity_logs (admin_id, admin_name, action, details)
+      VALUES ($1, $2, 'CREATE_BP_SEASON', $3)
+    `, [req.user.uid, req.user.username, `${id}: ${tiers.length} tiers`]);
+    return res.json({ success: true, season });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to create season' });
+  }
+});
+
+// DELETE /api/battlepass/admin/seasons/:id — only seasons that have not started
+router.delete('/admin/seasons/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const deleted = await deleteSeason(req.params.id);
+    if (!deleted) return res.status(409).json({ error: 'Season not found or already started' });
     return res.json({ success: true });
   } catch (err) {
-    console.error('[BP] POST /save error:', err.message);
-    return res.status(500).json({ error: 'Failed to save battle pass' });
+    return res.status(500).json({ error: 'Failed to delete season' });
+  }
+});
+
+// POST /api/battlepass/admin/rollover — archive every season that has ended
+router.post('/admin/rollover', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const archived = await rolloverSeasons();
+    return res.json({ success: true, archived });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to roll over seasons' });
   }
 });
 
@@ -0,0 +1,99 @@
+// routes/challenges.js
+const express = require('express');
+const router  = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { query } = require('../config/db');
+const {
+  PERIODS, CHALLENGE_EVENTS,
+  getChallengesForUser, claimChallenge,
+  getPool, createPoolEntry, setPoolEntryActive, deletePoolEntry,
+} = require('../models/challenge');
+
+// GET /api/challenges — today's and this week's challenges with your progress
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const challenges = await getChallengesForUser(req.user.uid);
+    return res.json({ challenges });
+  } catch (err) {
+    console.error('[Challenges] GET / error:', err.message);
+    return res.status(500).json({ error: 'Failed to load challenges' });
+  }
+});
+
+// POST /api/challenges/claim/:rotationId
+router.post('/claim/:rotationId', requireAuth, async (req, res) => {
+  try {
+    const reward = await claimChallenge(req.user.uid, req.params.rotationId);
+    return res.json({ success: true, ...reward });
+  } catch (err) {
+    console.error('[Challenges] /claim error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// ADMIN ROTATION POOL
+// ─────────────────────────────────────────────────────────────
+
+// GET /api/challenges/admin/pool
+router.get('/admin/pool', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    return res.json({ pool: await getPool(), events: CHALLENGE_EVENTS });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load challenge pool' });
+  }
+});
+
+// POST /api/challenges/admin/pool
+// Body: { period, event, params?, target, description, rewardCoins?, rewardXp? }
+router.post('/admin/pool', requireAuth, requireAdmin, async (req, res) => {
+  const { period, event, params = {}, target, description, rewardCoins = 0, rewardXp = 0 } = req.body;
+  const def = CHALLENGE_EVENTS[event];
+  if (!PERIODS.includes(period)) return res.status(400).json({ error: 'period must be daily or weekly' });
+  if (!def)                      return res.status(400).json({ error: 'Unknown event type' });
+  if (!params || typeof params !== 'object' || Object.keys(params).some(k => !def.params.includes(k))) {
+    return res.status(400).json({ error: `params for ${event} may only contain: ${def.params.join(', ') || 'nothing'}` });
+  }
+  if (!Number.isInteger(target) || target <= 0) return res.status(400).json({ error: 'target must be a positive integer' });
+  if (!description || description.length > 100) return res.status(400).json({ error: 'description must be 1–100 chars' });
+  if (![rewardCoins, rewardXp].every(n => Number.isInteger(n) && n >= 0 && n <= 100000)) {
+    return res.status(400).json({ error: 'rewards must be integers 0–100,000' });
+  }
+  try {
+    const entry = await createPoolEntry({ period, event, params, target, description, rewardCoins, rewardXp });
+    await query(`
+      INSERT INTO activity_logs (admin_id, admin_name, action, details)
+      VALUES ($1, $2, 'CREATE_CHALLENGE', $3)
+    `, [req.user.uid, req.user.username, `${period}: ${description}`]);
+    return res.json({ success: true, challenge: entry });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to create challenge' });
+  }
+});
+
+// POST /api/challenges/admin/pool/toggle
+// Body: { id, active }
+router.post('/admin/pool/toggle', requireAuth, requireAdmin, async (req, res) => {
+  const { id, active } = req.body;
+  if (!id || active === undefined) return res.status(400).json({ error: 'id and active required' });
+  try {
+    const entry = await setPoolEntryActive(id, !!active);
+    if (!entry) return res.status(404).json({ error: 'Challenge not found' });
+    return res.json({ success: true, challenge: entry });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to toggle challenge' });
+  }
+});
+
+// DELETE /api/challenges/admin/pool/:id
+router.delete('/admin/pool/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await deletePoolEntry(req.params.id);
+    if (result.error) return res.status(409).json({ error: result.error });
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to delete challenge' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+// routes/crates.js
+// Crates are opened server-side only. The client never decides what drops.
+const express = require('express');
+const router  = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { query, withTransaction }    = require('../config/db');
+const { getSkin } = require('../models/skin');
+const {
+  CRATE_TYPES, DUPLICATE_REFUND,
+  getAllDropTables, setDropTable, addCrates, openCrate, getRecentOpenings,
+} = require('../models/crate');
+const { notify } = require('../models/notification');
+
+// GET /api/crates/odds — public drop odds for every crate type
+router.get('/odds', async (req, res) => {
+  try {
+    const tables = await getAllDropTables();
+    return res.json({ crates: tables, duplicateRefund: DUPLICATE_REFUND });
+  } catch (err) {
+    console.error('[Crates] GET /odds error:', err.message);
+    return res.status(500).json({ error: 'Failed to load drop odds' });
+  }
+});
+
+// POST /api/crates/open
+// Body: { crateId }
+router.post('/open', requireAuth, async (req, res) => {
+  const { crateId } = req.body;
+  if (!CRATE_TYPES.includes(crateId)) return res.status(400).json({ error: 'Invalid crate type' });
+  try {
+    const result = await openCrate(req.user.uid, crateId);
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('[Crates] /open error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /api/crates/me/history — your last 50 openings
+router.get('/me/history', requireAuth, async (req, res) => {
+  try {
+    const openings = await getRecentOpenings({ uid: req.user.uid });
+    return res.json({ openings });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load crate history' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// ADMIN CRATE ROUTES
+// ─────────────────────────────────────────────────────────────
+
+// GET /api/crates/admin/openings?uid=  — audit log of openings
+router.get('/admin/openings', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const openings = await getRecentOpenings({ uid: req.query.uid || null, limit: 200 });
+    return res.json(openings);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load openings' });
+  }
+});
+
+// POST /api/crates/admin/drop-table
+// Body: { crateId, drops: [{ skinId, weight }] }  — replaces the crate's table
+router.post('/admin/drop-table', requireAuth, requireAdmin, async (req, res) => {
+  const { crateId, drops } = req.body;
+  if (!CRATE_TYPES.includes(crateId)) return res.status(400).json({ error: 'Invalid crate type' });
+  if (!Array.isArray(drops) || drops.length === 0) {
+    return res.status(400).json({ error: 'drops must be a non-empty array' });
+  }
+  for (const d of drops) {
+    if (!d || !d.skinId || !Number.isInteger(d.weight) || d.weight <= 0) {
+      return res.status(400).json({ error: 'Each drop needs a skinId and a positive integer weight' });
+    }
+  }
+  if (new Set(drops.map(d => d.skinId)).size !== drops.length) {
+    return res.status(400).json({ error: 'Duplicate skinId in drops' });
+  }
+  try {
+    for (const d of drops) {
+      if (!await getSkin(d.skinId)) return res.status(404).json({ error: `Skin not in catalog: ${d.skinId}` });
+    }
+    await withTransaction(async (client) => {
+      await setDropTable(client, crateId, drops);
+      await client.query(`
+        INSERT INTO activity_logs (admin_id, admin_name, action, details)
+        VALUES ($1, $2, 'SET_DROP_TABLE', $3)
+      `, [req.user.uid, req.user.username,
+          `${crateId}: ${drops.map(d => `${d.skinId}=${d.weight}`).join(', ')}`]);
+    });
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to save drop table' });
+  }
+});
+
+// POST /api/crates/admin/grant
+// Body: { targetUid, crateId, count }
+router.post('/admin/grant', requireAuth, requireAdmin, async (req, res) => {
+  const { targetUid, crateId, count } = req.body;
+  if (!targetUid) return res.status(400).json({ error: 'targetUid required' });
+  if (!CRATE_TYPES.includes(crateId)) return res.status(400).json({ error: 'Invalid crate type' });
+  if (!Number.isInteger(count) || count <= 0 || count > 100) {
+    return res.status(400).json({ error: 'count must be 1–100' });
+  }
+  try {
+    const { rows } = await query('SELECT 1 FROM users WHERE uid = $1', [targetUid]);
+    if (!rows[0]) return res.status(404).json({ error: 'User not found' });
+    const inventory = await withTransaction(async (client) => {
+      const result = await addCrates(client, targetUid, crateId, count);
+      await client.query(`
+        INSERT INTO activity_logs (admin_id, admin_name, action, target_uid, details)
+        VALUES ($1, $2, 'GRANT_CRATES', $3, $4)
+      `, [req.user.uid, req.user.username, targetUid, `${crateId} x${count}`]);
+      return result;
+    });
+    await notify(targetUid, 'crates_granted',
+      `An admin granted you ${count} ${crateId.replace(/-crate$/, '')} crate${count === 1 ? '' : 's'}.`,
+      { crateId, count });
+    return res.json({ success: true, crateInventory: inventory });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to grant crates' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+// routes/friends.js
+// Friend requests, the friends list with live presence, and request privacy.
+// Presence changes are also pushed over the socket (see multiplayer/presence.js).
+const express = require('express');
+const router  = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+  MAX_FRIENDS, REQUEST_PRIVACY,
+  sendRequest, acceptRequest, declineRequest, removeFriend,
+  blockUser, unblockUser, getBlocked,
+  getFriends, getRequests, getPrivacy, setPrivacy,
+} = require('../models/friend');
+const { getPresence } = require('../multiplayer/presence');
+
+// GET /api/friends — your friends with presence (offline | online | in_lobby | in_game)
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const friends = (await getFriends(req.user.uid)).map(f => ({ ...f, presence: getPresence(f.uid) }));
+    return res.json({ friends, max: MAX_FRIENDS });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load friends' });
+  }
+});
+
+// GET /api/friends/requests — pending requests, incoming and outgoing
+router.get('/requests', requireAuth, async (req, res) => {
+  try {
+    return res.json(await getRequests(req.user.uid));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load friend requests' });
+  }
+});
+
+// POST /api/friends/requests
+// Body: { toUid } or { username }. Accepts theirs if they already asked you.
+router.post('/requests', requireAuth, async (req, res) => {
+  const { toUid, username } = req.body;
+  if (!toUid && !username) return res.status(400).json({ error: 'toUid or username required' });
+  try {
+    const result = await sendRequest(req.user, { toUid, username });
+    return res.json({ success: true, ...result });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/friends/requests/:uid/accept
+router.post('/requests/:uid/accept', requireAuth, async (req, res) => {
+  try {
+    await acceptRequest(req.user, req.params.uid);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/friends/requests/:uid/decline
+router.post('/requests/:uid/decline', requireAuth, async (req, res) => {
+  try {
+    await declineRequest(req.user.uid, req.params.uid);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /api/friends/settings
+router.get('/settings', requireAuth, async (req, res) => {
+  try {
+    return res.json(await getPrivacy(req.user.uid));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load friend settings' });
+  }
+});
+
+// POST /api/friends/settings
+// Body: { friendRequestsFrom: 'everyone' | 'friends_of_friends' | 'nobody' }
+router.post('/settings', requireAuth, async (req, res) => {
+  const { friendRequestsFrom } = req.body;
+  if (!REQUEST_PRIVACY.includes(friendRequestsFrom)) {
+    return res.status(400).json({ error: `friendRequestsFrom must be one of: ${REQUEST_PRIVACY.join(', ')}` });
+  }
+  try {
+    await setPrivacy(req.user.uid, friendRequestsFrom);
+    return res.json({ success: true, friendRequestsFrom });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to save friend settings' });
+  }
+});
+
+// GET /api/friends/blocks
+router.get('/blocks', requireAuth, async (req, res) => {
+  try {
+    return res.json({ blocked: await getBlocked(req.user.uid) });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load blocked players' });
+  }
+});
+
+// POST /api/friends/blocks
+// Body: { uid }. Also unfriends them and drops requests either way.
+router.post('/blocks', requireAuth, async (req, res) => {
+  const { uid } = req.body;
+  if (!uid) return res.status(400).json({ error: 'uid required' });
+  try {
+    await blockUser(req.user.uid, uid);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /api/friends/blocks/:uid
+router.delete('/blocks/:uid', requireAuth, async (req, res) => {
+  try {
+    await unblockUser(req.user.uid, req.params.uid);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /api/friends/:uid — unfriend, or withdraw a request you sent
+router.delete('/:uid', requireAuth, async (req, res) => {
+  try {
+    return res.json({ success: true, result: await removeFriend(req.user.uid, req.params.uid) });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -9,25 +9,36 @@ const { withTransaction, query }    = require('../config/db');
 const { getUserById, isWhitelisted } = require('../models/user');
 const { removeSkin, addSkin }       = require('../models/inventory');
 const {
-  getListings, getListingById, countActiveListingsBySeller,
-  getListingsBySeller, createListing, deleteListing, getExpiredListings,
+  SORTS, decodeCursor, getListings, countListings, getListingById, countActiveListingsBySeller,
+  getListingsBySeller, createListing, repriceListing, deleteListing,
 } = require('../models/listing');
-const { logTrade, getRecentTrades, getEconomyStats } = require('../models/transaction');
+const { completeSale, getRecentTrades, getEconomyStats } = require('../models/transaction');
+const { getTradeStatus, getSkin } = require('../models/skin');
+const { recordChallengeEvents } = require('../models/challenge');
+const { checkEligibility, cooldownHoursLeft } = require('../models/eligibility');
+const {
+  MIN_AUCTION_HOURS, MAX_AUCTION_HOURS,
+  minimumBid, releaseHold, recordBid, getBids,
+} = require('../models/auction');
+const {
+  MAX_ORDERS_PER_PLAYER,
+  createOrder, fillFromBestOrder, cancelOrder,
+  countOpenOrders, getOrdersByBuyer, getOrderBook,
+} = require('../models/buyorder');
+const {
+  BUCKETS, getPriceHistory, getPriceSummary, getRelists, getRarityIndices, getTrending,
+} = require('../models/price');
+const {
+  MAX_WATCHES_PER_PLAYER,
+  watchListing, watchSkin, removeWatch, getWatchlist, alertNewListing, alertListingClosed,
+} = require('../models/watchlist');
+const { notify } = require('../models/notification');
+const { runJob, getJobStatus } = require('../jobs/runner');
 
 // ─────────────────────────────────────────────────────────────
 // CONSTANTS — kept in sync with your frontend marketplace.js
 // ─────────────────────────────────────────────────────────────
-const TAX_RATE                = 0.10;
 const MAX_LISTINGS_PER_PLAYER = 5;
-const MIN_ACCOUNT_AGE_DAYS    = 7;
-const MIN_LEVEL               = 15;
-const SKIN_COOLDOWN_HOURS     = 24;
-
-// Accounts created before the v4.2.0 launch bypass the 7-day wait
-const SHOP_UPDATE_TIMESTAMP_MS = new Date('2026-02-18T12:45:00Z').getTime();
-
-const CHAMPION_SKIN_IDS = new Set(['gold-champion', 'silver-champion', 'bronze-champion']);
-const NON_TRADEABLE_PRICES = new Set([0, -1, -3]); // default, champion, battle pass
 
 const RARITY_PRICING = {
   common:    { floor: 100,    ceiling: 500    },
@@ -38,50 +49,53 @@ const RARITY_PRICING = {
   icon:      { floor: 500,    ceiling: 4000   },
 };
 
-// XP → level formula (must match calculateTrueLevel in game.js)
-function calculateTrueLevel(xp) {
-  if (xp <= 0) return 0;
-  return Math.floor(Math.sqrt(xp / 100));
+// What the seller sees when their new or repriced listing filled a buy order
+function fillSummary({ orderId, buyerName, price, tax, sellerReceives }) {
+  return { orderId, buyerName, price, tax, sellerReceives };
 }
 
-// ─────────────────────────────────────────────────────────────
-// ELIGIBILITY CHECK  (called on list + buy)
-// ─────────────────────────────────────────────────────────────
-async function checkEligibility(user, userIsAdmin, userIsWhitelisted) {
-  if (userIsAdmin || userIsWhitelisted) return { eligible: true };
-
-  const createdMs  = new Date(user.created_at).getTime();
-  const isLegacy   = createdMs < SHOP_UPDATE_TIMESTAMP_MS;
-  const ageDays    = (Date.now() - createdMs) / 86400000;
-
-  if (!isLegacy && ageDays < MIN_ACCOUNT_AGE_DAYS) {
-    const left = Math.ceil(MIN_ACCOUNT_AGE_DAYS - ageDays);
-    return {
-      eligible: false,
-      reason: `Account must be at least 7 days old. ${left} day${left !== 1 ? 's' : ''} remaining.`,
-    };
-  }
-
-  const level = calculateTrueLevel(user.current_xp);
-  if (level < MIN_LEVEL) {
-    return {
-      eligible: false,
-      reason: `Level ${MIN_LEVEL}+ required. You are Level ${level}.`,
-    };
-  }
-
-  return { eligible: true };
+async function notifyOrderFilled(fill) {
+  await notify(fill.buyerId, 'order_filled',
+    `Your buy order for ${fill.skinName} filled at ${fill.price.toLocaleString()} coins.`,
+    { orderId: fill.orderId, skinId: fill.skinId, price: fill.price });
 }
 
 // ─────────────────────────────────────────────────────────────
 // GET /api/marketplace/listings
-// Query params: rarity, sort, page
+// Query params: search, rarity, minPrice, maxPrice, seller (uid or name), type,
+//               endingWithinHours, sort (price_asc|price_desc|newest|ending_soon),
+//               cursor (from the previous page's nextCursor), limit (≤ 50)
 // ─────────────────────────────────────────────────────────────
 router.get('/listings', async (req, res) => {
+  const { search, rarity = 'all', seller, type, sort = 'price_asc', cursor } = req.query;
+  const int = (v) => (v === undefined || v === '' ? null : Number(v));
+  const minPrice = int(req.query.minPrice);
+  const maxPrice = int(req.query.maxPrice);
+  const endingWithinHours = int(req.query.endingWithinHours);
+  const limit = int(req.query.limit);
+
+  if (rarity !== 'all' && !RARITY_PRICING[rarity]) return res.status(400).json({ error: 'Invalid rarity' });
+  if (!SORTS[sort])                                 return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+  if (type && type !== 'fixed' && type !== 'auction') return res.status(400).json({ error: 'type must be fixed or auction' });
+  if (search && search.length > 64)                 return res.status(400).json({ error: 'search must be at most 64 characters' });
+  if (cursor && !decodeCursor(cursor, SORTS[sort].column)) return res.status(400).json({ error: 'Invalid cursor' });
+  if (![minPrice, maxPrice, endingWithinHours, limit].every(n => n === null || (Number.isInteger(n) && n >= 0))) {
+    return res.status(400).json({ error: 'minPrice, maxPrice, endingWithinHours and limit must be whole numbers' });
+  }
+
   try {
-    const { rarity = 'all', sort = 'price_asc', page = 1 } = req.query;
-    const listings = await getListings({ rarity, sort, page: parseInt(page) });
-    return res.json({ listings, hasMore: listings.length === 20 });
+    const filters = { search, rarity, minPrice, maxPrice, seller, type, endingWithinHours };
+    const [page, counts] = await Promise.all([
+      getListings({ ...filters, sort, cursor, limit: limit || undefined }),
+      countListings(filters),
+    ]);
+    return res.json({
+      listings:   page.listings,
+      nextCursor: page.nextCursor,
+      hasMore:    page.nextCursor !== null,
+      total:      counts.total,
+      facets:     { rarity: counts.facets },
+    });
   } catch (err) {
     console.error('[MP] GET /listings error:', err.message);
     return res.status(500).json({ error: 'Failed to load listings' });
@@ -98,33 +112,62 @@ router.get('/my-listings', requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/marketplace/listings/:id/bids — auction bid history
+router.get('/listings/:id/bids', async (req, res) => {
+  try {
+    const listing = await getListingById(req.params.id);
+    if (!listing || listing.type !== 'auction') return res.status(404).json({ error: 'Auction not found' });
+    return res.json({ listing, minimumBid: minimumBid(listing), bids: await getBids(listing.id) });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load bids' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // POST /api/marketplace/list
-// Body: { skinId, skinName, rarity, price }
+// Body: { skinId, price, type?, buyout?, durationHours? }
+// Name and rarity come from the skin catalog. For type 'auction', price is the
+// starting bid; buyout (optional) and the starting bid share the rarity band.
 // ─────────────────────────────────────────────────────────────
 router.post('/list', requireAuth, async (req, res) => {
-  const { skinId, skinName, rarity, price: rawPrice } = req.body;
+  const { skinId, price: rawPrice, type = 'fixed', buyout: rawBuyout, durationHours } = req.body;
 
-  if (!skinId || !skinName || !rarity || rawPrice == null) {
-    return res.status(400).json({ error: 'skinId, skinName, rarity, and price are required' });
+  if (!skinId || rawPrice == null) {
+    return res.status(400).json({ error: 'skinId and price are required' });
   }
-
-  // Champion skins — absolute block
-  if (CHAMPION_SKIN_IDS.has(skinId)) {
-    return res.status(403).json({ error: 'Champion skins are achievement rewards and cannot be traded.' });
+  if (type !== 'fixed' && type !== 'auction') {
+    return res.status(400).json({ error: 'type must be fixed or auction' });
   }
-
-  const price = Math.floor(Number(rawPrice));
-  const limits = RARITY_PRICING[rarity];
-  if (!limits) return res.status(400).json({ error: 'Invalid rarity tier' });
-
-  if (price < limits.floor || price > limits.ceiling) {
-    return res.status(400).json({
-      error: `${rarity} skins: ${limits.floor.toLocaleString()}–${limits.ceiling.toLocaleString()} coins.`,
-    });
+  if (type === 'auction' &&
+      !(Number.isInteger(durationHours) && durationHours >= MIN_AUCTION_HOURS && durationHours <= MAX_AUCTION_HOURS)) {
+    return res.status(400).json({ error: `durationHours must be a whole number ${MIN_AUCTION_HOURS}–${MAX_AUCTION_HOURS}` });
   }
 
   try {
+    const { skin, reason } = await getTradeStatus(skinId);
+    if (!skin)  return res.status(404).json({ error: reason });
+    if (reason) return res.status(403).json({ error: reason });
+
+    const price  = Math.floor(Number(rawPrice));
+    const limits = RARITY_PRICING[skin.rarity];
+    if (!limits) return res.status(400).json({ error: 'Invalid rarity tier' });
+
+    if (!(price >= limits.floor && price <= limits.ceiling)) {
+      return res.status(400).json({
+        error: `${skin.rarity} skins: ${limits.floor.toLocaleString()}–${limits.ceiling.toLocaleString()} coins.`,
+      });
+    }
+
+    let buyout = null;
+    if (type === 'auction' && rawBuyout != null) {
+      buyout = Math.floor(Number(rawBuyout));
+      if (!(buyout > price && buyout <= limits.ceiling)) {
+        return res.status(400).json({
+          error: `Buyout must be above the starting bid and at most ${limits.ceiling.toLocaleString()} coins.`,
+        });
+      }
+    }
+
     const result = await withTransaction(async (client) => {
       const { rows: userRows } = await client.query(
         'SELECT * FROM users WHERE uid = $1 FOR UPDATE',
@@ -142,19 +185,8 @@ router.post('/list', requireAuth, async (req, res) => {
       if (!user.owned_skins.includes(skinId)) throw new Error('You do not own this skin.');
       if (user.active_skin === skinId)        throw new Error('Cannot list your equipped skin.');
 
-      if (CHAMPION_SKIN_IDS.has(skinId)) {
-        throw new Error('Champion skins are achievement rewards and cannot be traded.');
-      }
-
-      const receivedRaw = user.skin_received_times?.[skinId];
-      if (receivedRaw) {
-        const receivedMs = new Date(receivedRaw).getTime();
-        const hoursAgo   = (Date.now() - receivedMs) / 3600000;
-        if (hoursAgo < SKIN_COOLDOWN_HOURS) {
-          const remaining = Math.ceil(SKIN_COOLDOWN_HOURS - hoursAgo);
-          throw new Error(`Trade cooldown: ${remaining}h remaining on this skin.`);
-        }
-      }
+      const remaining = cooldownHoursLeft(user, skinId);
+      if (remaining > 0) throw new Error(`Trade cooldown: ${remaining}h remaining on this skin.`);
 
       const activeCount = await countActiveListingsBySeller(req.user.uid);
       if (activeCount >= MAX_LISTINGS_PER_PLAYER) {
@@ -167,15 +199,25 @@ router.post('/list', requireAuth, async (req, res) => {
         sellerId:   req.user.uid,
         sellerName: user.username,
         skinId,
-        skinName,
-        rarity,
+        skinName:   skin.name,
+        rarity:     skin.rarity,
         price,
+        type,
+        buyout,
+        expiresAt:  type === 'auction' ? new Date(Date.now() + durationHours * 3600000) : null,
       });
 
-      return listing;
+      await recordChallengeEvents(client, req.user.uid, [{ type: 'marketplace_listing', amount: 1 }]);
+
+      // A standing buy order at or above the asking price takes it immediately
+      const fill = type === 'fixed' ? await fillFromBestOrder(client, listing) : null;
+      return { listing, fill };
     });
 
-    return res.json({ success: true, listing: result });
+    const { listing, fill } = result;
+    if (fill) await notifyOrderFilled(fill);
+    else      await alertNewListing(listing);
+    return res.json({ success: true, listing, filled: fill ? fillSummary(fill) : null });
   } catch (err) {
     console.error('[MP] /list error:', err.message);
     return res.status(400).json({ error: err.message });
@@ -191,10 +233,15 @@ router.post('/cancel', requireAuth, async (req, res) => {
   if (!listingId) return res.status(400).json({ error: 'listingId required' });
 
   try {
-    const returnedSkinId = await withTransaction(async (client) => {
-      const listing = await getListingById(listingId, client);
+    const cancelled = await withTransaction(async (client) => {
+      const { rows: listingRows } = await client.query(
+        'SELECT * FROM listings WHERE id = $1 FOR UPDATE',
+        [listingId]
+      );
+      const listing = listingRows[0];
       if (!listing)                            throw new Error('Listing no longer exists.');
       if (listing.seller_id !== req.user.uid)  throw new Error('Not your listing.');
+      if (listing.bidder_id)                   throw new Error('Auctions cannot be cancelled once bidding has started.');
 
       const { rows: userRows } = await client.query(
         'SELECT owned_skins FROM users WHERE uid = $1 FOR UPDATE',
@@ -206,115 +253,391 @@ router.post('/cancel', requireAuth, async (req, res) => {
       }
 
       await deleteListing(client, listingId);
-      return listing.skin_id;
+      return listing;
     });
 
-    return res.json({ success: true, skinId: returnedSkinId });
+    await alertListingClosed(cancelled, 'cancelled');
+    return res.json({ success: true, skinId: cancelled.skin_id });
   } catch (err) {
     console.error('[MP] /cancel error:', err.message);
     return res.status(400).json({ error: err.message });
   }
 });
 
+// ─────────────────────────────────────────────────────────────
+// POST /api/marketplace/edit
+// Body: { listingId, price? }
+// Reprices a fixed-price listing within its rarity band and renews it for
+// another LISTING_TTL_DAYS. The skin stays in escrow, so no cooldown or
+// listing-cap checks apply. Omit price to only renew.
+// ─────────────────────────────────────────────────────────────
+router.post('/edit', requireAuth, async (req, res) => {
+  const { listingId, price: rawPrice } = req.body;
+  if (!listingId) return res.status(400).json({ error: 'listingId required' });
+
+  try {
+    const result = await withTransaction(async (client) => {
+      // Same lock as /buy: a purchase racing this edit either completes first
+      // (and the listing is gone) or waits and pays the new price
+      const { rows: listingRows } = await client.query(
+        'SELECT * FROM listings WHERE id = $1 FOR UPDATE',
+        [listingId]
+      );
+      const listing = listingRows[0];
+      if (!listing)                           throw new Error('Listing no longer exists — it may have just been bought or cancelled.');
+      if (listing.seller_id !== req.user.uid) throw new Error('Not your listing.');
+      if (listing.type === 'auction')         throw new Error('Auctions cannot be edited.');
+
+      const price  = rawPrice == null ? listing.price : Math.floor(Number(rawPrice));
+      const limits = RARITY_PRICING[listing.rarity];
+      if (!limits) throw new Error('Invalid rarity tier');
+      if (!(price >= limits.floor && price <= limits.ceiling)) {
+        throw new Error(`${listing.rarity} skins: ${limits.floor.toLocaleString()}–${limits.ceiling.toLocaleString()} coins.`);
+      }
+
+      const { reason: blocked } = await getTradeStatus(listing.skin_id, client);
+      if (blocked) throw new Error(blocked);
+
+      // Seller row is locked as in /list, in case the new price fills an order
+      await client.query('SELECT uid FROM users WHERE uid = $1 FOR UPDATE', [req.user.uid]);
+      const updated = await repriceListing(client, listing, price);
+
+      // A price cut can cross a standing buy order, same as a new listing
+      const priceCut = price < listing.price;
+      const fill = priceCut ? await fillFromBestOrder(client, updated) : null;
+      return { listing: updated, fill, priceCut };
+    });
+
+    const { listing, fill, priceCut } = result;
+    if (fill) {
+      await notifyOrderFilled(fill);
+      await alertListingClosed(listing, 'sold', fill.price);
+    } else if (priceCut) {
+      await alertNewListing(listing);
+    }
+    return res.json({ success: true, listing, filled: fill ? fillSummary(fill) : null });
+  } catch (err) {
+    console.error('[MP] /edit error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // POST /api/marketplace/buy  — THE CRITICAL SECURITY PATH
-// Body: { listingId }
+// Body: { listingId }  — on an auction this is the buyout
 // ─────────────────────────────────────────────────────────────
 router.post('/buy', requireAuth, async (req, res) => {
   const { listingId } = req.body;
   if (!listingId) return res.status(400).json({ error: 'listingId required' });
 
   try {
+    let sold;
     const receipt = await withTransaction(async (client) => {
       const { rows: listingRows } = await client.query(
         'SELECT * FROM listings WHERE id = $1 FOR UPDATE',
         [listingId]
       );
-      const listing = listingRows[0];
+      const listing = sold = listingRows[0];
       if (!listing)                    throw new Error('Listing no longer exists — it may have just been bought or cancelled.');
       if (new Date(listing.expires_at) < new Date()) throw new Error('This listing has expired.');
       if (listing.seller_id === req.user.uid) throw new Error('You cannot buy your own listing.');
-
-      if (CHAMPION_SKIN_IDS.has(listing.skin_id)) {
-        throw new Error('Champion skins cannot be traded. This listing will be purged.');
+      if (listing.type === 'auction' && !listing.buyout) {
+        throw new Error('This auction has no buyout — place a bid instead.');
       }
 
-      const { rows: buyerRows } = await client.query(
-        'SELECT * FROM users WHERE uid = $1 FOR UPDATE',
-        [req.user.uid]
+      const { reason: blocked } = await getTradeStatus(listing.skin_id, client);
+      if (blocked) throw new Error(blocked);
+
+      // Lock buyer and seller in uid order so a crossing buy-order fill can't deadlock us
+      const { rows: userRows } = await client.query(
+        'SELECT * FROM users WHERE uid = ANY($1) ORDER BY uid FOR UPDATE',
+        [[req.user.uid, listing.seller_id]]
       );
-      const buyer = buyerRows[0];
+      const buyer = userRows.find((u) => u.uid === req.user.uid);
       if (!buyer) throw new Error('Your account was not found.');
+      if (!userRows.some((u) => u.uid === listing.seller_id)) throw new Error('Seller account no longer exists.');
 
       const buyerIsAdmin      = buyer.is_admin;
       const buyerIsWhitelisted = await isWhitelisted(req.user.uid);
       const elig = await checkEligibility(buyer, buyerIsAdmin, buyerIsWhitelisted);
       if (!elig.eligible) throw new Error(elig.reason);
 
-      if (buyer.total_coins < listing.price) {
+      const price = listing.type === 'auction' ? listing.buyout : listing.price;
+      // A buyer who leads the auction gets their held bid back towards the buyout
+      const available = buyer.total_coins + (listing.bidder_id === buyer.uid ? listing.current_bid : 0);
+      if (available < price) {
         throw new Error(
-          `Not enough coins. Need ${listing.price.toLocaleString()}, ` +
-          `have ${buyer.total_coins.toLocaleString()}.`
+          `Not enough coins. Need ${price.toLocaleString()}, ` +
+          `have ${available.toLocaleString()}.`
         );
       }
 
-      const { rows: sellerRows } = await client.query(
+      await releaseHold(client, listing);
+      return completeSale(client, { listing, buyer, price });
+    });
+
+    await notify(sold.seller_id, 'listing_sold',
+      `Your ${receipt.skinName} sold for ${receipt.price.toLocaleString()} coins (you received ${receipt.sellerReceives.toLocaleString()}).`,
+      { listingId: sold.id, skinId: receipt.skinId, price: receipt.price });
+    await alertListingClosed(sold, 'sold', receipt.price);
+    return res.json({ success: true, ...receipt });
+  } catch (err) {
+    console.error('[MP] /buy error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/marketplace/bid
+// Body: { listingId, amount }
+// The bid is held from your balance until you are outbid or the auction settles.
+// ─────────────────────────────────────────────────────────────
+router.post('/bid', requireAuth, async (req, res) => {
+  const { listingId } = req.body;
+  const amount = Math.floor(Number(req.body.amount));
+  if (!listingId || !Number.isFinite(amount)) {
+    return res.status(400).json({ error: 'listingId and amount are required' });
+  }
+
+  try {
+    const result = await withTransaction(async (client) => {
+      const { rows: listingRows } = await client.query(
+        'SELECT * FROM listings WHERE id = $1 FOR UPDATE',
+        [listingId]
+      );
+      const listing = listingRows[0];
+      if (!listing)                       throw new Error('Auction no longer exists.');
+      if (listing.type !== 'auction')     throw new Error('This is a fixed-price listing — buy it instead.');
+      if (new Date(listing.expires_at) < new Date()) throw new Error('This auction has ended.');
+      if (listing.seller_id === req.user.uid) throw new Error('You cannot bid on your own auction.');
+
+      const { reason: blocked } = await getTradeStatus(listing.skin_id, client);
+      if (blocked) throw new Error(blocked);
+
+      const min = minimumBid(listing);
+      if (amount < min) throw new Error(`Minimum bid is ${min.toLocaleString()} coins.`);
+      const ceiling = RARITY_PRICING[listing.rarity]?.ceiling;
+      if (ceiling && amount > ceiling) {
+        throw new Error(`${listing.rarity} skins: bids up to ${ceiling.toLocaleString()} coins.`);
+      }
+      if (listing.buyout && amount >= listing.buyout) {
+        throw new Error('Bid meets the buyout — buy it out instead.');
+      }
+
+      const { rows: bidderRows } = await client.query(
         'SELECT * FROM users WHERE uid = $1 FOR UPDATE',
-        [listing.seller_id]
+        [req.user.uid]
       );
-      const seller = sellerRows[0];
-      if (!seller) throw new Error('Seller account no longer exists.');
-
-      const price          = listing.price;
-      const tax            = Math.floor(price * TAX_RATE);
-      const sellerReceives = price - tax;
-
-      await client.query(`
-        UPDATE users SET
-          total_coins = total_coins - $2,
-          owned_skins = array_append(owned_skins, $3),
-          skin_received_times = skin_received_times || jsonb_build_object($3, NOW()::TEXT),
-          last_trade_at = NOW(),
-          updated_at = NOW()
-        WHERE uid = $1
-      `, [req.user.uid, price, listing.skin_id]);
-
-      await client.query(`
-        UPDATE users SET
-          total_coins = total_coins + $2,
-          last_trade_at = NOW(),
-          updated_at = NOW()
-        WHERE uid = $1
-      `, [listing.seller_id, sellerReceives]);
+      const bidder = bidderRows[0];
+      if (!bidder) throw new Error('Your account was not found.');
 
-      await deleteListing(client, listingId);
+      const elig = await checkEligibility(bidder, bidder.is_admin, await isWhitelisted(req.user.uid));
+      if (!elig.eligible) throw new Error(elig.reason);
 
-      await logTrade(client, {
-        buyerId:        req.user.uid,
-        buyerName:      buyer.username,
-        sellerId:       listing.seller_id,
-        sellerName:     listing.seller_name,
-        skinId:         listing.skin_id,
-        skinName:       listing.skin_name,
-        rarity:         listing.rarity,
-        price,
-        tax,
-        sellerReceived: sellerReceives,
+      const available = bidder.total_coins + (listing.bidder_id === bidder.uid ? listing.current_bid : 0);
+      if (available < amount) {
+        throw new Error(
+          `Not enough coins. Need ${amount.toLocaleString()}, ` +
+          `have ${available.toLocaleString()}.`
+        );
+      }
+
+      const updated = await recordBid(client, listing, bidder, amount);
+      return { listing: updated, minimumBid: minimumBid(updated), outbid: listing.bidder_id };
+    });
+
+    const { listing, outbid } = result;
+    if (outbid && outbid !== req.user.uid) {
+      await notify(outbid, 'outbid',
+        `You were outbid on ${listing.skin_name}: the leading bid is now ${listing.current_bid.toLocaleString()} coins. Your held bid was returned.`,
+        { listingId: listing.id, skinId: listing.skin_id, currentBid: listing.current_bid });
+    }
+    return res.json({ success: true, listing, minimumBid: result.minimumBid });
+  } catch (err) {
+    console.error('[MP] /bid error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// PRICE HISTORY & ANALYTICS  (public, served from price_rollups)
+// ─────────────────────────────────────────────────────────────
+
+// GET /api/marketplace/prices/:skinId
+// Query params: bucket (hour|day, default day), range (buckets: ≤168 hours / ≤90 days)
+router.get('/prices/:skinId', async (req, res) => {
+  const { bucket = 'day' } = req.query;
+  if (!BUCKETS[bucket]) return res.status(400).json({ error: 'bucket must be hour or day' });
+  const range = Math.min(parseInt(req.query.range) || (bucket === 'day' ? 30 : 48), BUCKETS[bucket].maxRange);
+  try {
+    const skin = await getSkin(req.params.skinId);
+    if (!skin) return res.status(404).json({ error: 'Skin not found' });
+    const [summary, history, relists] = await Promise.all([
+      getPriceSummary(skin.id),
+      getPriceHistory(skin.id, { bucket, range }),
+      getRelists(skin.id),
+    ]);
+    return res.json({ skinId: skin.id, name: skin.name, rarity: skin.rarity, bucket, summary, history, relists });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load price history' });
+  }
+});
+
+// GET /api/marketplace/indices — average sale price per rarity, week over week
+router.get('/indices', async (req, res) => {
+  try {
+    return res.json({ indices: await getRarityIndices() });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load market indices' });
+  }
+});
+
+// GET /api/marketplace/trending — most-traded skins over the last 24 hours
+router.get('/trending', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  try {
+    return res.json({ trending: await getTrending(limit) });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load trending skins' });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// BUY ORDERS
+// ─────────────────────────────────────────────────────────────
+
+// GET /api/marketplace/orders/book/:skinId — open buy orders and asks by price
+router.get('/orders/book/:skinId', async (req, res) => {
+  try {
+    return res.json(await getOrderBook(req.params.skinId));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load order book' });
+  }
+});
+
+// GET /api/marketplace/my-orders  (auth required)
+router.get('/my-orders', requireAuth, async (req, res) => {
+  try {
+    return res.json({ orders: await getOrdersByBuyer(req.user.uid) });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load your orders' });
+  }
+});
+
+// POST /api/marketplace/orders
+// Body: { skinId, maxPrice }  — maxPrice is held from your balance until the order fills, is cancelled or expires
+router.post('/orders', requireAuth, async (req, res) => {
+  const { skinId } = req.body;
+  const maxPrice = Math.floor(Number(req.body.maxPrice));
+  if (!skinId || !Number.isFinite(maxPrice)) {
+    return res.status(400).json({ error: 'skinId and maxPrice are required' });
+  }
+
+  try {
+    const { skin, reason } = await getTradeStatus(skinId);
+    if (!skin)  return res.status(404).json({ error: reason });
+    if (reason) return res.status(403).json({ error: reason });
+
+    const limits = RARITY_PRICING[skin.rarity];
+    if (!limits) return res.status(400).json({ error: 'Invalid rarity tier' });
+    if (!(maxPrice >= limits.floor && maxPrice <= limits.ceiling)) {
+      return res.status(400).json({
+        error: `${skin.rarity} skins: ${limits.floor.toLocaleString()}–${limits.ceiling.toLocaleString()} coins.`,
       });
+    }
 
-      return {
-        skinId:          listing.skin_id,
-        skinName:        listing.skin_name,
-        price,
-        tax,
-        sellerReceives,
-        newBuyerBalance: buyer.total_coins - price,
-      };
+    const order = await withTransaction(async (client) => {
+      const { rows: buyerRows } = await client.query(
+        'SELECT * FROM users WHERE uid = $1 FOR UPDATE',
+        [req.user.uid]
+      );
+      const buyer = buyerRows[0];
+      if (!buyer) throw new Error('Your account was not found.');
+
+      const elig = await checkEligibility(buyer, buyer.is_admin, await isWhitelisted(req.user.uid));
+      if (!elig.eligible) throw new Error(elig.reason);
+
+      if (buyer.owned_skins.includes(skinId)) throw new Error('You already own this skin.');
+      if (await countOpenOrders(client, req.user.uid) >= MAX_ORDERS_PER_PLAYER) {
+        throw new Error(`Maximum ${MAX_ORDERS_PER_PLAYER} open buy orders.`);
+      }
+
+      const { rows: asks } = await client.query(`
+        SELECT price FROM listings
+        WHERE skin_id = $1 AND type = 'fixed' AND expires_at > NOW() AND seller_id <> $2 AND price <= $3
+        ORDER BY price ASC LIMIT 1
+      `, [skinId, req.user.uid, maxPrice]);
+      if (asks[0]) throw new Error(`A listing is already available for ${asks[0].price.toLocaleString()} coins — buy it instead.`);
+
+      if (buyer.total_coins < maxPrice) {
+        throw new Error(
+          `Not enough coins. Need ${maxPrice.toLocaleString()}, ` +
+          `have ${buyer.total_coins.toLocaleString()}.`
+        );
+      }
+
+      return createOrder(client, { buyer, skinId, maxPrice });
     });
 
-    return res.json({ success: true, ...receipt });
+    return res.json({ success: true, order });
+  } catch (err) {
+    console.error('[MP] /orders error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/marketplace/orders/cancel
+// Body: { orderId }
+router.post('/orders/cancel', requireAuth, async (req, res) => {
+  const { orderId } = req.body;
+  if (!orderId) return res.status(400).json({ error: 'orderId required' });
+  try {
+    await cancelOrder(req.user.uid, orderId);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// WATCHLIST  (alerts arrive as notifications, live over the socket)
+// ─────────────────────────────────────────────────────────────
+
+// GET /api/marketplace/watchlist  (auth required)
+router.get('/watchlist', requireAuth, async (req, res) => {
+  try {
+    return res.json({ watchlist: await getWatchlist(req.user.uid), max: MAX_WATCHES_PER_PLAYER });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load your watchlist' });
+  }
+});
+
+// POST /api/marketplace/watchlist
+// Body: { listingId } to watch one listing, or { skinId, maxPrice? } to be told
+// about new listings of that skin (at or under maxPrice, if given)
+router.post('/watchlist', requireAuth, async (req, res) => {
+  const { listingId, skinId, maxPrice = null } = req.body;
+  if (!listingId === !skinId) return res.status(400).json({ error: 'Provide either listingId or skinId' });
+  if (maxPrice !== null && !(Number.isInteger(maxPrice) && maxPrice > 0)) {
+    return res.status(400).json({ error: 'maxPrice must be a positive whole number' });
+  }
+  try {
+    if (listingId) return res.json({ success: true, entry: await watchListing(req.user.uid, listingId) });
+    const skin = await getSkin(skinId);
+    if (!skin) return res.status(404).json({ error: 'Skin not found' });
+    return res.json({ success: true, entry: await watchSkin(req.user.uid, skin.id, maxPrice) });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /api/marketplace/watchlist/:id
+router.delete('/watchlist/:id', requireAuth, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'Invalid watchlist id' });
+  try {
+    await removeWatch(req.user.uid, req.params.id);
+    return res.json({ success: true });
   } catch (err) {
-    console.error('[MP] /buy error:', err.message);
     return res.status(400).json({ error: err.message });
   }
 });
@@ -338,8 +661,13 @@ router.get('/admin/listings', requireAuth, requireAdmin, async (req, res) => {
 // DELETE /api/marketplace/admin/listings/:id
 router.delete('/admin/listings/:id', requireAuth, requireAdmin, async (req, res) => {
   try {
-    await withTransaction(async (client) => {
-      const listing = await getListingById(req.params.id, client);
+    const removed = await withTransaction(async (client) => {
+      // Lock the listing so a racing /bid can't move the hold we're about to release
+      const { rows: listingRows } = await client.query(
+        'SELECT * FROM listings WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      const listing = listingRows[0];
       if (!listing) throw new Error('Listing not found.');
 
       const { rows } = await client.query(
@@ -348,8 +676,11 @@ router.delete('/admin/listings/:id', requireAuth, requireAdmin, async (req, res)
       if (rows[0] && !rows[0].owned_skins.includes(listing.skin_id)) {
         await addSkin(listing.seller_id, listing.skin_id, client);
       }
+      await releaseHold(client, listing);
       await deleteListing(client, req.params.id);
+      return listing;
     });
+    await alertListingClosed(removed, 'cancelled');
     return res.json({ success: true });
   } catch (err) {
     return res.status(400).json({ error: err.message });
@@ -357,32 +688,27 @@ router.delete('/admin/listings/:id', requireAuth, requireAdmin, async (req, res)
 });
 
 // POST /api/marketplace/admin/purge-expired
+// Runs the marketplace-expiry job now (it also runs on a schedule — see jobs/).
 router.post('/admin/purge-expired', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const expired = await getExpiredListings();
-    let purged = 0;
-    for (const listing of expired) {
-      try {
-        await withTransaction(async (client) => {
-          const { rows } = await client.query(
-            'SELECT owned_skins FROM users WHERE uid = $1', [listing.seller_id]
-          );
-          if (rows[0] && !rows[0].owned_skins.includes(listing.skin_id)) {
-            await addSkin(listing.seller_id, listing.skin_id, client);
-          }
-          await deleteListing(client, listing.id);
-        });
-        purged++;
-      } catch (e) {
-        console.error('[MP Admin] purge failed for', listing.id, e.message);
-      }
-    }
-    return res.json({ success: true, purged });
+    const run = await runJob('marketplace-expiry');
+    if (run.skipped) return res.status(409).json({ error: 'Expiry job is already running on another instance' });
+    if (run.error)   return res.status(500).json({ error: run.error });
+    return res.json({ success: true, ...run.result });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
 });
 
+// GET /api/marketplace/admin/jobs — scheduled jobs with their last run and recent history
+router.get('/admin/jobs', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    return res.json(await getJobStatus());
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load job status' });
+  }
+});
+
 // GET /api/marketplace/admin/trades
 router.get('/admin/trades', requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -0,0 +1,55 @@
+// routes/notifications.js
+// The player's notification inbox. New notifications are also pushed live on
+// the `notification` socket event (see models/notification.js).
+const express = require('express');
+const router  = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { MAX_PAGE_SIZE, getNotifications, countUnread, markRead } = require('../models/notification');
+
+// GET /api/notifications
+// Query: unread=true (unread only), before (id from the previous page's nextBefore), limit (≤ 100)
+router.get('/', requireAuth, async (req, res) => {
+  const { before } = req.query;
+  if (before !== undefined && !/^\d+$/.test(before)) return res.status(400).json({ error: 'before must be a notification id' });
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 30, MAX_PAGE_SIZE));
+  try {
+    const [notifications, unread] = await Promise.all([
+      getNotifications(req.user.uid, { before: before || null, unreadOnly: req.query.unread === 'true', limit }),
+      countUnread(req.user.uid),
+    ]);
+    const nextBefore = notifications.length === limit ? notifications[notifications.length - 1].id : null;
+    return res.json({ notifications, unread, nextBefore });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load notifications' });
+  }
+});
+
+// GET /api/notifications/unread-count
+router.get('/unread-count', requireAuth, async (req, res) => {
+  try {
+    return res.json({ unread: await countUnread(req.user.uid) });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load unread count' });
+  }
+});
+
+// POST /api/notifications/read-all
+router.post('/read-all', requireAuth, async (req, res) => {
+  try {
+    return res.json({ success: true, marked: await markRead(req.user.uid) });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+// POST /api/notifications/:id/read
+router.post('/:id/read', requireAuth, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'Invalid notification id' });
+  try {
+    return res.json({ success: true, marked: await markRead(req.user.uid, [req.params.id]) });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+});
+
+module.exports = router;
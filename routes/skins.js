@@ -0,0 +1,106 @@
+// routes/skins.js
+const express = require('express');
+const router  = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { query } = require('../config/db');
+const {
+  SKIN_RARITIES, SKIN_SOURCES,
+  getSkin, listSkins, createSkin, updateSkin, deleteSkin,
+} = require('../models/skin');
+
+// Validates the editable catalog fields. `partial` allows omitted fields (updates).
+function validateSkinFields({ name, rarity, source, tradeable }, partial = false) {
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 64) return 'name must be 1–64 characters';
+  }
+  if (rarity !== undefined || !partial) {
+    if (!SKIN_RARITIES.includes(rarity)) return `rarity must be one of: ${SKIN_RARITIES.join(', ')}`;
+  }
+  if (source !== undefined || !partial) {
+    if (!SKIN_SOURCES.includes(source)) return `source must be one of: ${SKIN_SOURCES.join(', ')}`;
+  }
+  if (tradeable !== undefined && typeof tradeable !== 'boolean') return 'tradeable must be a boolean';
+  return null;
+}
+
+// GET /api/skins — public catalog. Query params: rarity, source
+router.get('/', async (req, res) => {
+  try {
+    const { rarity, source } = req.query;
+    return res.json(await listSkins({ rarity, source }));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load skins' });
+  }
+});
+
+// GET /api/skins/:id
+router.get('/:id', async (req, res) => {
+  try {
+    const skin = await getSkin(req.params.id);
+    if (!skin) return res.status(404).json({ error: 'Skin not found' });
+    return res.json(skin);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load skin' });
+  }
+});
+
+// POST /api/skins/admin/create
+// Body: { id, name, rarity, source, tradeable? }
+router.post('/admin/create', requireAuth, requireAdmin, async (req, res) => {
+  const { id, name, rarity, source } = req.body;
+  const tradeable = req.body.tradeable ?? source === 'crate';
+  if (!id || !/^[a-z0-9-]{1,48}$/.test(id)) {
+    return res.status(400).json({ error: 'id must be 1–48 lowercase letters, digits or dashes' });
+  }
+  const invalid = validateSkinFields({ name, rarity, source, tradeable });
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const skin = await createSkin({ id, name: name.trim(), rarity, source, tradeable });
+    if (!skin) return res.status(409).json({ error: 'A skin with this id already exists' });
+    await query(`
+      INSERT INTO activity_logs (admin_id, admin_name, action, details)
+      VALUES ($1, $2, 'CREATE_SKIN', $3)
+    `, [req.user.uid, req.user.username, `${id} (${rarity}, ${source})`]);
+    return res.json({ success: true, skin });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to create skin' });
+  }
+});
+
+// POST /api/skins/admin/update
+// Body: { id, name?, rarity?, source?, tradeable? }
+router.post('/admin/update', requireAuth, requireAdmin, async (req, res) => {
+  const { id, name, rarity, source, tradeable } = req.body;
+  if (!id) return res.status(400).json({ error: 'id required' });
+  const invalid = validateSkinFields({ name, rarity, source, tradeable }, true);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const skin = await updateSkin(id, { name: name?.trim(), rarity, source, tradeable });
+    if (!skin) return res.status(404).json({ error: 'Skin not found' });
+    await query(`
+      INSERT INTO activity_logs (admin_id, admin_name, action, details)
+      VALUES ($1, $2, 'UPDATE_SKIN', $3)
+    `, [req.user.uid, req.user.username, `${id} (${skin.rarity}, ${skin.source}, tradeable=${skin.tradeable})`]);
+    return res.json({ success: true, skin });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to update skin' });
+  }
+});
+
+// DELETE /api/skins/admin/:id
+router.delete('/admin/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!await getSkin(req.params.id)) return res.status(404).json({ error: 'Skin not found' });
+    const result = await deleteSkin(req.params.id);
+    if (result.error) return res.status(409).json({ error: result.error });
+    await query(`
+      INSERT INTO activity_logs (admin_id, admin_name, action, details)
+      VALUES ($1, $2, 'DELETE_SKIN', $3)
+    `, [req.user.uid, req.user.username, req.params.id]);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to delete skin' });
+  }
+});
+
+module.exports = router;
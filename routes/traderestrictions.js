@@ -3,6 +3,7 @@ const express = require('express');
 const router  = express.Router();
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { query } = require('../config/db');
+const { getSkin } = require('../models/skin');
 
 // GET /api/trade-restrictions — public, returns all blocked skin IDs
 router.get('/', async (req, res) => {
@@ -29,6 +30,7 @@ router.post('/admin/block', requireAuth, requireAdmin, async (req, res) => {
   const { skinId, reason = 'Restricted by admin' } = req.body;
   if (!skinId) return res.status(400).json({ error: 'skinId required' });
   try {
+    if (!await getSkin(skinId)) return res.status(404).json({ error: 'Skin not in catalog' });
     await query(`
       INSERT INTO trade_restrictions (skin_id, reason, added_by)
       VALUES ($1, $2, $3)
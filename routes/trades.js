@@ -0,0 +1,139 @@
+// routes/trades.js
+// Direct trade offers between two players. Escrow and execution live in
+// models/trade.js; every state change runs in one transaction.
+const express = require('express');
+const router  = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  MAX_SKINS_PER_SIDE, MAX_COINS_PER_SIDE,
+  createOffer, acceptOffer, declineOffer, cancelOffer, counterOffer, expireOffers,
+  getOffersForUser, getOfferById, getRecentOffers,
+} = require('../models/trade');
+
+const OFFER_STATUSES = ['pending', 'accepted', 'declined', 'countered', 'cancelled', 'expired'];
+
+// Validates { offerSkins, offerCoins, requestSkins, requestCoins }. Returns [error, terms].
+function parseTerms({ offerSkins = [], offerCoins = 0, requestSkins = [], requestCoins = 0 }) {
+  for (const list of [offerSkins, requestSkins]) {
+    if (!Array.isArray(list) || list.some(id => typeof id !== 'string' || !id)) {
+      return ['offerSkins and requestSkins must be arrays of skin ids'];
+    }
+    if (list.length > MAX_SKINS_PER_SIDE)     return [`At most ${MAX_SKINS_PER_SIDE} skins per side`];
+    if (new Set(list).size !== list.length)   return ['Duplicate skin in offer'];
+  }
+  if (![offerCoins, requestCoins].every(n => Number.isInteger(n) && n >= 0 && n <= MAX_COINS_PER_SIDE)) {
+    return [`Coins must be whole numbers 0–${MAX_COINS_PER_SIDE.toLocaleString()}`];
+  }
+  if (offerSkins.length + requestSkins.length === 0) return ['A trade must include at least one skin'];
+  return [null, { offerSkins, offerCoins, requestSkins, requestCoins }];
+}
+
+// GET /api/trades — offers you sent or received. Query: status
+router.get('/', requireAuth, async (req, res) => {
+  const { status } = req.query;
+  if (status && !OFFER_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+  try {
+    const offers = await getOffersForUser(req.user.uid, { status });
+    return res.json({ offers });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load trade offers' });
+  }
+});
+
+// GET /api/trades/:id — only the two players involved may view it
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const offer = await getOfferById(req.params.id);
+    if (!offer || ![offer.from_uid, offer.to_uid].includes(req.user.uid)) {
+      return res.status(404).json({ error: 'Trade offer not found' });
+    }
+    return res.json(offer);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load trade offer' });
+  }
+});
+
+// POST /api/trades
+// Body: { toUid, offerSkins?, offerCoins?, requestSkins?, requestCoins? }
+router.post('/', requireAuth, async (req, res) => {
+  const { toUid } = req.body;
+  if (!toUid) return res.status(400).json({ error: 'toUid required' });
+  const [invalid, terms] = parseTerms(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const offer = await createOffer(req.user.uid, toUid, terms);
+    return res.json({ success: true, offer });
+  } catch (err) {
+    console.error('[Trades] create error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/trades/:id/accept
+router.post('/:id/accept', requireAuth, async (req, res) => {
+  try {
+    const offer = await acceptOffer(req.user.uid, req.params.id);
+    return res.json({ success: true, offer });
+  } catch (err) {
+    console.error('[Trades] accept error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/trades/:id/decline
+router.post('/:id/decline', requireAuth, async (req, res) => {
+  try {
+    await declineOffer(req.user.uid, req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/trades/:id/cancel
+router.post('/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    await cancelOffer(req.user.uid, req.params.id);
+    return res.json({ success: true });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// POST /api/trades/:id/counter
+// Body: same terms as POST /api/trades, from the counter-offerer's side
+router.post('/:id/counter', requireAuth, async (req, res) => {
+  const [invalid, terms] = parseTerms(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const offer = await counterOffer(req.user.uid, req.params.id, terms);
+    return res.json({ success: true, offer });
+  } catch (err) {
+    console.error('[Trades] counter error:', err.message);
+    return res.status(400).json({ error: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────────────────────
+// ADMIN
+// ─────────────────────────────────────────────────────────────
+
+// GET /api/trades/admin/offers
+router.get('/admin/offers', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    return res.json(await getRecentOffers(100));
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load trade offers' });
+  }
+});
+
+// POST /api/trades/admin/expire — return escrow for every expired pending offer
+router.post('/admin/expire', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    return res.json({ success: true, expired: await expireOffers() });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,12 @@ const router  = express.Router();
 const { requireAuth, requireAdmin } = require('../middleware/auth');
 const { getUserById, getPublicProfile, equipSkin, isWhitelisted } = require('../models/user');
 const { getOwnedSkins, addSkin } = require('../models/inventory');
+const {
+  applyLedgerEntry, getLedgerForUser, getReconciliation, reconcileBalance,
+} = require('../models/ledger');
+const { getRecentMatches } = require('../models/match');
+const { getSkin } = require('../models/skin');
+const { notify } = require('../models/notification');
 const { query, withTransaction } = require('../config/db');
 
 // ─── GET /api/users/:uid/profile  (public)
@@ -18,12 +24,25 @@ router.get('/:uid/profile', async (req, res) => {
   }
 });
 
+// ─── GET /api/users/:uid/matches  (public)
+// Recent co-op matches with the rewards the server credited for each.
+router.get('/:uid/matches', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  try {
+    const matches = await getRecentMatches(req.params.uid, limit);
+    return res.json({ matches });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load matches' });
+  }
+});
+
 // ─── POST /api/users/equip  (auth required)
 // Body: { skinId: string }
 router.post('/equip', requireAuth, async (req, res) => {
   const { skinId } = req.body;
   if (!skinId) return res.status(400).json({ error: 'skinId required' });
   try {
+    if (!await getSkin(skinId)) return res.status(404).json({ error: 'Unknown skin' });
     const result = await equipSkin(req.user.uid, skinId);
     if (!result) return res.status(403).json({ error: 'Skin not owned' });
     return res.json({ activeSkin: result.active_skin });
@@ -32,6 +51,18 @@ router.post('/equip', requireAuth, async (req, res) => {
   }
 });
 
+// ─── GET /api/users/me/ledger  (auth required)
+// Your own coin/XP history, newest first.
+router.get('/me/ledger', requireAuth, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  try {
+    const entries = await getLedgerForUser(req.user.uid, limit);
+    return res.json({ entries });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load ledger' });
+  }
+});
+
 // ─────────────────────────────────────────────────────────────
 // ADMIN ROUTES  (all require requireAuth + requireAdmin)
 // ─────────────────────────────────────────────────────────────
@@ -66,6 +97,9 @@ router.post('/admin/ban', requireAuth, requireAdmin, async (req, res) => {
       VALUES ($1, $2, 'BAN_USER', $3, $4)
     `, [req.user.uid, req.user.username, targetUid, reason]);
 
+    await notify(targetUid, 'banned',
+      reason ? `Your account has been banned: ${reason}` : 'Your account has been banned.',
+      { reason });
     return res.json({ success: true });
   } catch (err) {
     return res.status(500).json({ error: 'Failed to ban user' });
@@ -85,6 +119,7 @@ router.post('/admin/unban', requireAuth, requireAdmin, async (req, res) => {
       INSERT INTO activity_logs (admin_id, admin_name, action, target_uid)
       VALUES ($1, $2, 'UNBAN_USER', $3)
     `, [req.user.uid, req.user.username, targetUid]);
+    await notify(targetUid, 'unbanned', 'Your account ban has been lifted.');
     return res.json({ success: true });
   } catch (err) {
     return res.status(500).json({ error: 'Failed to unban user' });
@@ -97,6 +132,8 @@ router.post('/admin/grant-skin', requireAuth, requireAdmin, async (req, res) =>
   const { targetUid, skinId } = req.body;
   if (!targetUid || !skinId) return res.status(400).json({ error: 'targetUid and skinId required' });
   try {
+    const skin = await getSkin(skinId);
+    if (!skin) return res.status(404).json({ error: 'Skin not in catalog' });
     const user = await getUserById(targetUid);
     if (!user) return res.status(404).json({ error: 'User not found' });
     if (user.owned_skins.includes(skinId)) {
@@ -107,6 +144,7 @@ router.post('/admin/grant-skin', requireAuth, requireAdmin, async (req, res) =>
       INSERT INTO activity_logs (admin_id, admin_name, action, target_uid, details)
       VALUES ($1, $2, 'GRANT_SKIN', $3, $4)
     `, [req.user.uid, req.user.username, targetUid, skinId]);
+    await notify(targetUid, 'skin_granted', `An admin granted you the ${skin.name} skin.`, { skinId });
     return res.json({ success: true });
   } catch (err) {
     return res.status(500).json({ error: 'Failed to grant skin' });
@@ -120,16 +158,22 @@ router.post('/admin/grant-coins', requireAuth, requireAdmin, async (req, res) =>
   if (!targetUid || !amount) return res.status(400).json({ error: 'targetUid and amount required' });
   if (amount <= 0 || amount > 100000) return res.status(400).json({ error: 'Amount must be 1–100,000' });
   try {
-    const { rows } = await query(
-      `UPDATE users SET total_coins = total_coins + $2 WHERE uid = $1 RETURNING total_coins`,
-      [targetUid, Math.floor(amount)]
-    );
-    if (!rows[0]) return res.status(404).json({ error: 'User not found' });
-    await query(`
-      INSERT INTO activity_logs (admin_id, admin_name, action, target_uid, details)
-      VALUES ($1, $2, 'GRANT_COINS', $3, $4)
-    `, [req.user.uid, req.user.username, targetUid, `+${amount}`]);
-    return res.json({ success: true, newBalance: rows[0].total_coins });
+    const user = await getUserById(targetUid);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const balance = await withTransaction(async (client) => {
+      const result = await applyLedgerEntry(client, {
+        uid: targetUid, coins: Math.floor(amount), reason: 'admin_grant', refId: req.user.uid,
+      });
+      await client.query(`
+        INSERT INTO activity_logs (admin_id, admin_name, action, target_uid, details)
+        VALUES ($1, $2, 'GRANT_COINS', $3, $4)
+      `, [req.user.uid, req.user.username, targetUid, `+${amount}`]);
+      return result;
+    });
+    await notify(targetUid, 'coins_granted',
+      `An admin granted you ${Math.floor(amount).toLocaleString()} coins.`,
+      { amount: Math.floor(amount) });
+    return res.json({ success: true, newBalance: balance.total_coins });
   } catch (err) {
     return res.status(500).json({ error: 'Failed to grant coins' });
   }
@@ -167,6 +211,51 @@ router.post('/admin/reset-cooldowns', requireAuth, requireAdmin, async (req, res
   }
 });
 
+// GET /api/users/admin/ledger/:uid  — a user's coin/XP ledger
+router.get('/admin/ledger/:uid', requireAuth, requireAdmin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  try {
+    const entries = await getLedgerForUser(req.params.uid, limit);
+    return res.json({ entries });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to load ledger' });
+  }
+});
+
+// GET /api/users/admin/reconcile/:uid  — stored balance vs ledger totals
+router.get('/admin/reconcile/:uid', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const report = await getReconciliation(req.params.uid);
+    if (!report) return res.status(404).json({ error: 'User not found' });
+    return res.json(report);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to reconcile balance' });
+  }
+});
+
+// POST /api/users/admin/reconcile  — reset stored balance to the ledger totals
+// Body: { targetUid: string }
+router.post('/admin/reconcile', requireAuth, requireAdmin, async (req, res) => {
+  const { targetUid } = req.body;
+  if (!targetUid) return res.status(400).json({ error: 'targetUid required' });
+  try {
+    const before = await getReconciliation(targetUid);
+    if (!before) return res.status(404).json({ error: 'User not found' });
+    const balance = await withTransaction(async (client) => {
+      const result = await reconcileBalance(client, targetUid);
+      await client.query(`
+        INSERT INTO activity_logs (admin_id, admin_name, action, target_uid, details)
+        VALUES ($1, $2, 'RECONCILE_BALANCE', $3, $4)
+      `, [req.user.uid, req.user.username, targetUid,
+          `coin drift ${before.coinDrift}, xp drift ${before.xpDrift}`]);
+      return result;
+    });
+    return res.json({ success: true, totalCoins: balance.total_coins, currentXp: balance.current_xp });
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to reconcile balance' });
+  }
+});
+
 // GET /api/users/admin/logs  — activity logs
 router.get('/admin/logs', requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -8,6 +8,7 @@ const http         = require('http');
 const { Server }   = require('socket.io');
 const { initSchema } = require('./config/db');
 const { initSocketHandler } = require('./multiplayer/socketHandler');
+const { startJobs } = require('./jobs');
 
 const app    = express();
 const server = http.createServer(app);
@@ -44,6 +45,19 @@ const writeLimiter = rateLimit({
   message: { error: 'Too many trade requests — please wait' },
 });
 
+// Write limits go first: routers answer their requests, so anything after them never runs
+app.post('/api/marketplace/buy',    writeLimiter);
+app.post('/api/marketplace/list',   writeLimiter);
+app.post('/api/marketplace/cancel', writeLimiter);
+app.post('/api/marketplace/edit',   writeLimiter);
+app.post('/api/marketplace/bid',    writeLimiter);
+app.post('/api/marketplace/orders', writeLimiter);
+app.post('/api/marketplace/watchlist', writeLimiter);
+app.post('/api/crates/open',        writeLimiter);
+app.post('/api/trades',             writeLimiter);
+app.post('/api/trades/:id/*',       writeLimiter);
+app.post('/api/friends/requests',   writeLimiter);
+
 // ─── Routes ───────────────────────────────────────────────────
 app.use('/api/auth',               require('./routes/auth'));
 app.use('/api/users',              require('./routes/users'));
@@ -52,10 +66,13 @@ app.use('/api/leaderboard',        require('./routes/leaderboard'));
 app.use('/api/battlepass',         require('./routes/battlepass'));
 app.use('/api/announcements',      require('./routes/announcements'));
 app.use('/api/trade-restrictions', require('./routes/traderestrictions'));
-
-app.post('/api/marketplace/buy',    writeLimiter);
-app.post('/api/marketplace/list',   writeLimiter);
-app.post('/api/marketplace/cancel', writeLimiter);
+app.use('/api/skins',              require('./routes/skins'));
+app.use('/api/crates',             require('./routes/crates'));
+app.use('/api/challenges',         require('./routes/challenges'));
+app.use('/api/achievements',       require('./routes/achievements'));
+app.use('/api/trades',             require('./routes/trades'));
+app.use('/api/notifications',      require('./routes/notifications'));
+app.use('/api/friends',            require('./routes/friends'));
 
 app.get('/health', (req, res) => res.json({ status: 'ok', ts: Date.now() }));
 
@@ -70,6 +87,7 @@ async function boot() {
   try {
     await initSchema();
     initSocketHandler(io);
+    startJobs();
     server.listen(PORT, () => {
       console.log(`\n🚀  topdown-backend v2 running on port ${PORT}`);
       console.log(`    Health:     http://localhost:${PORT}/health`);